@@ -1,84 +1,707 @@
-import { fetchRetry, withRetries } from '../utils/utils.js';
-import { hiveApiCall, hiveEngineApiCall, hiveEngineHistoryApiCall } from './beacon.js';
+import { DEFAULT_HISTORY_CACHE_SIZE } from '../config/config.js';
+import { PriceUnavailableError, assertOk } from '../utils/errors.js';
+import { fetchRetry, rateLimiter, withRetries } from '../utils/utils.js';
+import {
+  DEFAULT_RETRIES, getNodeInUse, hiveApiCall, hiveEngineApiCall, hiveEngineHistoryApiCall, hiveEngineMarketHistoryApiCall,
+} from './beacon.js';
 
 /* -------------------------------------------------------------------------- */
 /* Infrastructure classes                                                     */
 /* -------------------------------------------------------------------------- */
 
+const findRequest = (contract, table, query, { limit = 1, indexes } = {}, id = 1) => ({
+  jsonrpc: '2.0',
+  method: 'find',
+  params: {
+    contract,
+    table,
+    query,
+    limit,
+    offset: 0,
+    ...(indexes && { indexes }),
+  },
+  id,
+});
+
 export class HiveApi {
-  #verboseLogs;
+  #log;
+  #limit;
+  #nodeUrl;
 
-  constructor({ verbose }) {
-    this.#verboseLogs = verbose;
+  // hiveNodeUrl, when set, is tried first and the beacon nodes are the failover
+  constructor({ log, rateLimits, hiveNodeUrl }) {
+    this.#log = log;
+    this.#limit = rateLimiter(rateLimits.hive);
+    this.#nodeUrl = hiveNodeUrl;
   }
 
   getAccountHistory = async (account, start, limit) => {
-    this.#verboseLogs && console.log('[HiveApi][getAccountHistory] request:', { account, start, limit });
-    const resp = await hiveApiCall('getAccountHistory', [account, start, limit]);
-    this.#verboseLogs && console.log('[HiveApi][getAccountHistory] response:', JSON.stringify(resp));
+    this.#log.trace('[HR] [HiveApi] [getAccountHistory] request', { account, start, limit });
+    const resp = await this.#limit(() => hiveApiCall(
+      'getAccountHistory', [account, start, limit], DEFAULT_RETRIES, this.#log, this.#nodeUrl,
+    ));
+    this.#log.trace('[HR] [HiveApi] [getAccountHistory] response', { response: resp });
+    return resp;
+  }
+
+  getDynamicGlobalProperties = async () => {
+    this.#log.trace('[HR] [HiveApi] [getDynamicGlobalProperties] request');
+    const resp = await this.#limit(() => hiveApiCall(
+      'getDynamicGlobalProperties', [], DEFAULT_RETRIES, this.#log, this.#nodeUrl,
+    ));
+    this.#log.trace('[HR] [HiveApi] [getDynamicGlobalProperties] response', { response: resp });
+    return resp;
+  }
+
+  getBlockHeader = async (blockNum) => {
+    this.#log.trace('[HR] [HiveApi] [getBlockHeader] request', { blockNum });
+    const resp = await this.#limit(() => hiveApiCall(
+      'getBlockHeader', [blockNum], DEFAULT_RETRIES, this.#log, this.#nodeUrl,
+    ));
+    this.#log.trace('[HR] [HiveApi] [getBlockHeader] response', { response: resp });
+    return resp;
+  }
+
+  // node the last request was sent to
+  nodeInUse = () => getNodeInUse('hive');
+
+  // HIVE:HBD internal market ticker
+  getTicker = async () => {
+    this.#log.trace('[HR] [HiveApi] [getTicker] request');
+    const resp = await this.#limit(() => hiveApiCall(
+      'getTicker', [], DEFAULT_RETRIES, this.#log, this.#nodeUrl,
+    ));
+    this.#log.trace('[HR] [HiveApi] [getTicker] response', { response: resp });
     return resp;
   }
 }
 
 export class HiveEngineApi {
-  #verboseLogs;
+  #log;
+  #limitRpc;
+  #limitHistory;
+  #rpcUrl;
+  #historyUrl;
 
-  constructor({ verbose }) {
-    this.#verboseLogs = verbose;
+  // hiveEngineRpcUrl / hiveEngineHistoryUrl, when set, are tried first and the beacon nodes are the failover
+  constructor({
+    log, rateLimits, hiveEngineRpcUrl, hiveEngineHistoryUrl,
+  }) {
+    this.#log = log;
+    this.#limitRpc = rateLimiter(rateLimits.he);
+    this.#limitHistory = rateLimiter(rateLimits.heh);
+    this.#rpcUrl = hiveEngineRpcUrl;
+    this.#historyUrl = hiveEngineHistoryUrl;
   }
 
+  #find = async (contract, table, query, opts) => {
+    const res = await this.#limitRpc(() => hiveEngineApiCall(
+      findRequest(contract, table, query, opts), DEFAULT_RETRIES, this.#log, this.#rpcUrl,
+    ));
+    return res?.result ?? [];
+  };
+
+  // several find queries in a single JSON-RPC batch call, results in the queries order
+  #findBatch = async (queries) => {
+    if (!queries.length) return [];
+    const batch = queries.map((args, idx) => findRequest(...args, idx + 1));
+    const res = await this.#limitRpc(() => hiveEngineApiCall(
+      batch, DEFAULT_RETRIES, this.#log, this.#rpcUrl,
+    ));
+    const byId = new Map([res].flat().map(item => [item?.id, item?.result ?? []]));
+    return queries.map((_, idx) => byId.get(idx + 1) ?? []);
+  };
+
   getHistory = async ({ account, limit, offset }) => {
-    this.#verboseLogs && console.log('[HiveEngineApi][getHistory] request:', { account, limit, offset });
-    const resp = await hiveEngineHistoryApiCall(account, limit, offset);
-    this.#verboseLogs && console.log('[HiveEngineApi][getHistory] response:', JSON.stringify(resp));
+    this.#log.trace('[HR] [HiveEngineApi] [getHistory] request', { account, limit, offset });
+    const resp = await this.#limitHistory(() => hiveEngineHistoryApiCall(
+      account, limit, offset, DEFAULT_RETRIES, this.#log, this.#historyUrl,
+    ));
+    this.#log.trace('[HR] [HiveEngineApi] [getHistory] response', { response: resp });
     return resp;
   }
 
-  getTokenPriceUsd = async ({ symbol, hiveUsd }) => {
-    this.#verboseLogs && console.log('[HiveEngineApi][getTokenPriceUsd] request:', { symbol, hiveUsd });
-    const body = {
-      jsonrpc: '2.0',
-      method: 'find',
-      params: {
-        contract: 'market',
-        table: 'metrics',
-        query: { symbol },
-        limit: 1,
-        offset: 0
-      },
-      id: 1
-    };
-    const res = await hiveEngineApiCall(body);
-    const lastPrice = res?.result?.[0]?.lastPrice;
-    const result = { price: lastPrice ? +lastPrice * hiveUsd : 0 };
-    this.#verboseLogs && console.log('[HiveEngineApi][getTokenPriceUsd] response:', JSON.stringify(result));
+  // history node the last getHistory() request was sent to
+  historyNodeInUse = () => getNodeInUse('heh');
+
+  getMarketHistory = async ({ symbol, fromTs, toTs }) => {
+    this.#log.trace('[HR] [HiveEngineApi] [getMarketHistory] request', { symbol, fromTs, toTs });
+    const resp = await this.#limitHistory(() => hiveEngineMarketHistoryApiCall(
+      symbol,
+      Math.floor(fromTs / 1000),
+      Math.ceil(toTs / 1000),
+      DEFAULT_RETRIES,
+      this.#log,
+      this.#historyUrl,
+    ));
+    this.#log.trace('[HR] [HiveEngineApi] [getMarketHistory] response', { response: resp });
+    return resp;
+  };
+
+  // market metrics of a token (lastPrice, volume, highestBid, lowestAsk...), prices in SWAP.HIVE
+  getMetrics = async ({ symbol }) => {
+    this.#log.trace('[HR] [HiveEngineApi] [getMetrics] request', { symbol });
+    const [metrics] = await this.#find('market', 'metrics', { symbol });
+    this.#log.trace('[HR] [HiveEngineApi] [getMetrics] response', { response: metrics });
+    return metrics ?? null;
+  };
+
+  // last market price of a token, in SWAP.HIVE
+  getLastPrice = async ({ symbol }) => +((await this.getMetrics({ symbol }))?.lastPrice ?? 0);
+
+  // market metrics of several tokens in one query, by symbol
+  getMetricsBySymbol = async ({ symbols }) => {
+    this.#log.trace('[HR] [HiveEngineApi] [getMetricsBySymbol] request', { symbols });
+    const rows = await this.#find('market', 'metrics', { symbol: { $in: symbols } }, { limit: symbols.length });
+    this.#log.trace('[HR] [HiveEngineApi] [getMetricsBySymbol] response', { response: rows });
+    return Object.fromEntries(rows.map(row => [row.symbol, row]));
+  };
+
+  // best bids (highest first) and asks (lowest first) of several tokens in one batch, by symbol
+  getOrderBooks = async ({ symbols, depth = 10 }) => {
+    this.#log.trace('[HR] [HiveEngineApi] [getOrderBooks] request', { symbols, depth });
+    const results = await this.#findBatch(symbols.flatMap(symbol => [
+      ['market', 'buyBook', { symbol }, { limit: depth, indexes: [{ index: 'priceDec', descending: true }] }],
+      ['market', 'sellBook', { symbol }, { limit: depth, indexes: [{ index: 'priceDec', descending: false }] }],
+    ]));
+    const books = Object.fromEntries(symbols.map((symbol, idx) => [
+      symbol,
+      { bids: results[2 * idx], asks: results[2 * idx + 1] },
+    ]));
+    this.#log.trace('[HR] [HiveEngineApi] [getOrderBooks] response', { response: books });
+    return books;
+  };
+
+  // most recent market trades of several tokens in one batch, by symbol (the table keeps about a day of trades)
+  getRecentTrades = async ({ symbols, limit = 100 }) => {
+    this.#log.trace('[HR] [HiveEngineApi] [getRecentTrades] request', { symbols, limit });
+    const results = await this.#findBatch(symbols.map(symbol => [
+      'market', 'tradesHistory', { symbol }, { limit, indexes: [{ index: 'timestamp', descending: true }] },
+    ]));
+    const trades = Object.fromEntries(symbols.map((symbol, idx) => [symbol, results[idx]]));
+    this.#log.trace('[HR] [HiveEngineApi] [getRecentTrades] response', { response: trades });
+    return trades;
+  };
+
+  // liquidity pools pairing tokens with SWAP.HIVE, by symbol
+  getPools = async ({ symbols }) => {
+    this.#log.trace('[HR] [HiveEngineApi] [getPools] request', { symbols });
+    const pairs = symbols.flatMap(symbol => [`SWAP.HIVE:${symbol}`, `${symbol}:SWAP.HIVE`]);
+    const rows = await this.#find('marketpools', 'pools', { tokenPair: { $in: pairs } }, { limit: pairs.length });
+    const pools = Object.fromEntries(symbols.map(symbol => [
+      symbol,
+      rows.find(pool => pool.tokenPair === `SWAP.HIVE:${symbol}` || pool.tokenPair === `${symbol}:SWAP.HIVE`) ?? null,
+    ]));
+    this.#log.trace('[HR] [HiveEngineApi] [getPools] response', { response: pools });
+    return pools;
+  };
+
+  /**
+   * Last nftmarket sale of a collection (price of the whole trade, split across its NFTs),
+   * falling back to the cheapest open sell order quoted in the same token (SWAP.HIVE without a
+   * sale). A sale whose number of NFTs is unknown can't be split: the floor is used instead.
+   */
+  getNftPrice = async ({ symbol }) => {
+    this.#log.trace('[HR] [HiveEngineApi] [getNftPrice] request', { symbol });
+    const find = (table, query, index) => this.#find('nftmarket', `${symbol}${table}`, query, { indexes: [index] });
+    let result = { price: 0, priceSymbol: 'SWAP.HIVE', source: 'none' };
+    const [trade] = await find('tradesHistory', {}, { index: 'timestamp', descending: true });
+    const count = trade?.nfts?.length
+      ?? trade?.counterparties?.reduce((sum, { nftIds = [] }) => sum + nftIds.length, 0);
+    if (trade?.price && count) {
+      result = { price: +trade.price / count, priceSymbol: trade.priceSymbol, source: 'lastSale' };
+    } else {
+      if (trade?.price) {
+        this.#log.debug('[HR] [HiveEngineApi] [getNftPrice] last sale without NFT count, using the floor', { symbol });
+      }
+      const priceSymbol = trade?.priceSymbol ?? result.priceSymbol;
+      const [order] = await find('sellBook', { priceSymbol }, { index: 'priceDec', descending: false });
+      if (order?.price) {
+        result = { price: +order.price, priceSymbol, source: 'floor' };
+      }
+    }
+    this.#log.trace('[HR] [HiveEngineApi] [getNftPrice] response', { response: result });
     return result;
   };
 }
 
-export class HivePriceProvider {
+// merge [from, to] index ranges that overlap or touch, lowest first
+const mergeRanges = ranges => [...ranges]
+  .sort(([aa], [bb]) => aa - bb)
+  .reduce((out, [from, to]) => {
+    const last = out.at(-1);
+    if (last && from <= last[1] + 1) out[out.length - 1] = [last[0], Math.max(last[1], to)];
+    else out.push([from, to]);
+    return out;
+  }, []);
+
+// Hive-Engine history records have no index: the history node id, else the record itself
+const heKeyOf = tx => tx._id ?? JSON.stringify(tx);
+
+// Hive-Engine records cached from the newest one on, with their keys. shift is the number of
+// records written since the run's newest one was downloaded: the node serves run.records[idx]
+// at offset idx + shift
+const newRun = () => ({
+  records: [], keys: new Set(), complete: false, shift: 0,
+});
+
+// add the records of a page the run does not have yet, at its start or its end
+const addRecords = (run, txs, atStart = false) => {
+  const fresh = txs.filter(tx => !run.keys.has(heKeyOf(tx)));
+  fresh.forEach(tx => run.keys.add(heKeyOf(tx)));
+  if (atStart) run.records.unshift(...fresh);
+  else run.records.push(...fresh);
+};
+
+/**
+ * Account history pages shared by every scan of an analyzer. History records never change once
+ * written, so what was downloaded is kept in memory per account and a request only goes to the
+ * network for the part of it not cached yet, newer or older:
+ * - Hive: entries by history index, with the index ranges already covered. A page starting above
+ *   a cached range only downloads the entries above it.
+ * - Hive-Engine: one run of records, newest first, lined up with the offsets of the last offset 0
+ *   request, which prepends the records written since. Older pages are appended past its end,
+ *   requested at the offset the node serves them at once the records written since are counted
+ *   (realigned on the records a page repeats), until the requested page is full.
+ * The newest page (Hive start -1, Hive-Engine offset 0) is always downloaded: the head moves with
+ * every new operation, unless the heads are pinned (see pinningHeads). Concurrent requests for the
+ * same page share one download, and pages are copied on the way out: the services reverse them in place.
+ * Each layer keeps up to maxRecords records: past it, the least recently read accounts are
+ * dropped and downloaded again when scanned next.
+ */
+export class HistoryCache {
+  #getAccountHistory;
+  #getHistory;
+  #hive = new Map();
+  #he = new Map();
+  #pending = new Map();
+  #heads = null;
+  #pins = 0;
+  #maxRecords;
+
+  /**
+   * @param {HiveApi} hiveApi
+   * @param {HiveEngineApi} heApi
+   * @param {number} [maxRecords] - records kept per layer
+   */
+  constructor(hiveApi, heApi, maxRecords = DEFAULT_HISTORY_CACHE_SIZE) {
+    this.#maxRecords = maxRecords;
+    this.#getAccountHistory = hiveApi.getAccountHistory;
+    this.#getHistory = heApi.getHistory;
+    // copies of the APIs reading their history through the cache
+    this.hiveApi = { ...hiveApi, getAccountHistory: this.#hivePage };
+    this.heApi = { ...heApi, getHistory: this.#hePage };
+  }
+
+  // forget every cached page
+  clear = () => {
+    this.#hive.clear();
+    this.#he.clear();
+  };
+
+  /**
+   * Run fn with the newest pages pinned: the head of each history is downloaded once and reused by
+   * every scan started meanwhile, eg. the two windows of a comparison.
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  pinningHeads = async (fn) => {
+    this.#pins += 1;
+    this.#heads ??= new Map();
+    try {
+      return await fn();
+    } finally {
+      this.#pins -= 1;
+      if (!this.#pins) this.#heads = null;
+    }
+  };
+
+  #once = (key, fetchPage) => {
+    if (!this.#pending.has(key)) {
+      this.#pending.set(key, fetchPage().finally(() => this.#pending.delete(key)));
+    }
+    return this.#pending.get(key);
+  };
+
+  // a head page, kept while the heads are pinned; a failed download is retried by the next request
+  #head = (key, fetchPage) => {
+    if (!this.#heads) return this.#once(key, fetchPage);
+    const heads = this.#heads;
+    if (!heads.has(key)) {
+      heads.set(key, this.#once(key, fetchPage).catch((err) => {
+        heads.delete(key);
+        throw err;
+      }));
+    }
+    return heads.get(key);
+  };
+
+  // the cached history of an account, moved last in the map: the first ones are the least recently read
+  #touch = (cache, account, init) => {
+    const cached = cache.get(account) ?? init();
+    cache.delete(account);
+    cache.set(account, cached);
+    return cached;
+  };
+
+  #hiveOf = account => this.#touch(this.#hive, account, () => ({ entries: new Map(), ranges: [] }));
+
+  #heOf = account => this.#touch(this.#he, account, () => ({ run: newRun() }));
+
+  // drop the least recently read accounts until the layer holds at most maxRecords records
+  #evict = (cache, sizeOf) => {
+    let total = 0;
+    for (const cached of cache.values()) total += sizeOf(cached);
+    for (const [account, cached] of cache) {
+      if (total <= this.#maxRecords) break;
+      total -= sizeOf(cached);
+      cache.delete(account);
+    }
+  };
+
+  #evictHive = () => this.#evict(this.#hive, ({ entries }) => entries.size);
+
+  #evictHe = () => this.#evict(this.#he, ({ run, detached }) => run.records.length + (detached?.records.length ?? 0));
+
+  // download a Hive page and cache the index range it covers: account history indexes have no gaps
+  #fetchHive = async (account, start, limit) => {
+    const page = await (start < 0 ? this.#head : this.#once)(`hive:${account}:${start}:${limit}`, async () => {
+      const entries = await this.#getAccountHistory(account, start, limit);
+      if (entries.length) {
+        const cached = this.#hiveOf(account);
+        for (const [idx, entry] of entries) cached.entries.set(idx, entry);
+        cached.ranges = mergeRanges([...cached.ranges, [entries[0][0], entries[entries.length - 1][0]]]);
+        this.#evictHive();
+      }
+      return entries;
+    });
+    return [...page];
+  };
+
+  #hivePage = async (account, start, limit) => {
+    if (start < 0) return this.#fetchHive(account, start, limit);
+    const lowest = Math.max(0, start - limit + 1);
+    const covering = () => this.#hiveOf(account).ranges.find(([from, to]) => from <= start && start <= to);
+    let range = covering();
+    if (!range) {
+      const below = this.#hiveOf(account).ranges.filter(([, to]) => lowest <= to && to < start).at(-1);
+      const page = await this.#fetchHive(account, start, below ? start - below[1] : limit);
+      range = below && covering();
+      if (!range) return page;
+    }
+    const from = Math.max(lowest, range[0]);
+    const { entries } = this.#hiveOf(account);
+    return Array.from({ length: start - from + 1 }, (_, idx) => [from + idx, entries.get(from + idx)]);
+  };
+
+  /**
+   * Append an older page, requested at offset `at`, to the run. Reaching a record of the run
+   * detached by a head that did not overlap it joins the two: the rest of the history is cached
+   * already. The last record of the page the run holds realigns run.shift.
+   */
+  #appendPage = (cached, page, limit, at) => {
+    const { run, detached } = cached;
+    const joinAt = detached ? page.findIndex(tx => detached.keys.has(heKeyOf(tx))) : -1;
+    if (joinAt < 0) {
+      addRecords(run, page);
+      if (page.length < limit) run.complete = true;
+    } else {
+      const joinKey = heKeyOf(page[joinAt]);
+      addRecords(run, page.slice(0, joinAt));
+      addRecords(run, detached.records.slice(detached.records.findIndex(tx => heKeyOf(tx) === joinKey)));
+      run.complete = detached.complete;
+      delete cached.detached;
+    }
+    const known = page.findLastIndex(tx => run.keys.has(heKeyOf(tx)));
+    if (known >= 0) {
+      const key = heKeyOf(page[known]);
+      run.shift = at + known - run.records.findLastIndex(tx => heKeyOf(tx) === key);
+    }
+  };
+
+  #hePage = async ({ account, limit, offset }) => {
+    const cached = this.#heOf(account);
+    const fetchPage = at => (at === 0 ? this.#head : this.#once)(
+      `he:${account}:${at}:${limit}`,
+      () => this.#getHistory({ account, limit, offset: at }),
+    );
+
+    if (offset === 0) {
+      const page = await fetchPage(0);
+      if (!Array.isArray(page)) return page;
+      const known = page.findIndex(tx => cached.run.keys.has(heKeyOf(tx)));
+      if (known >= 0) {
+        addRecords(cached.run, page.slice(0, known), true);
+      } else {
+        // more new records than a page: the run is set aside until the older pages reach it
+        if (cached.run.records.length > (cached.detached?.records.length ?? 0)) cached.detached = cached.run;
+        cached.run = newRun();
+        addRecords(cached.run, page);
+      }
+      // the run starts at the node's newest record again
+      cached.run.shift = 0;
+      if (page.length < limit) cached.run.complete = true;
+      this.#evictHe();
+      return [...page];
+    }
+    const { run } = cached;
+    if (offset > run.records.length && !run.complete) {
+      const page = await fetchPage(offset + run.shift);
+      return Array.isArray(page) ? [...page] : page;
+    }
+    // a page repeating records written since the head was downloaded adds fewer: keep going
+    while (offset + limit > cached.run.records.length && !cached.run.complete) {
+      const at = cached.run.records.length + cached.run.shift;
+      const page = await fetchPage(at);
+      if (!Array.isArray(page)) return page;
+      this.#appendPage(cached, page, limit, at);
+      this.#evictHe();
+    }
+    return cached.run.records.slice(offset, offset + limit);
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* Price providers                                                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * A price provider quotes HIVE and HBD in one or more fiat currencies.
+ * @typedef {{ [currency: string]: number }} FiatQuote - eg. { usd: 0.25, eur: 0.23 }
+ * @typedef {Object} PriceProvider
+ * @property {string} name - reported as the price source
+ * @property {(currencies: string[]) => Promise<{ hive: FiatQuote, hbd?: FiatQuote }>} getQuotes
+ */
+
+export class CoinGeckoPriceProvider {
+  name = 'coingecko';
   #fetch;
   #url;
-  #cacheMs;
-  #memo;
 
-  constructor({ fetch, hivePriceUrl, priceCacheMins }) {
+  constructor({ fetch, hivePriceUrl }) {
     this.#fetch = fetch;
     this.#url = hivePriceUrl;
-    this.#cacheMs = priceCacheMins * 60000;
+  }
+
+  getQuotes = async (currencies) => withRetries(async () => {
+    const url = new URL(this.#url);
+    url.searchParams.set('vs_currencies', [...new Set(['usd', ...currencies])].join(','));
+    const data = await fetchRetry(this.#fetch, url.toString()).then(res => assertOk(res, 'CoinGecko').json());
+    return { hive: data?.hive ?? {}, hbd: data?.hive_dollar ?? {} };
+  });
+}
+
+// HIVE priced on the internal HIVE:HBD market, taking HBD at its ~1 USD peg
+export class HiveMarketPriceProvider {
+  name = 'hiveMarket';
+  #hiveApi;
+
+  constructor(hiveApi) {
+    this.#hiveApi = hiveApi;
+  }
+
+  getQuotes = async () => {
+    const ticker = await this.#hiveApi.getTicker();
+    return { hive: { usd: +(ticker?.latest ?? 0) }, hbd: { usd: 1 } };
+  };
+}
+
+// HIVE priced from the SWAP.HBD market on Hive-Engine (quoted in SWAP.HIVE), taking HBD at its ~1 USD peg
+export class HiveEnginePriceProvider {
+  name = 'hiveEngine';
+  #heApi;
+
+  constructor(heApi) {
+    this.#heApi = heApi;
+  }
+
+  getQuotes = async () => {
+    const hivePerHbd = await this.#heApi.getLastPrice({ symbol: 'SWAP.HBD' });
+    return { hive: { usd: hivePerHbd ? 1 / hivePerHbd : 0 }, hbd: { usd: 1 } };
+  };
+}
+
+const PRICE_PROVIDER_FACTORIES = {
+  coingecko: (cfg) => new CoinGeckoPriceProvider(cfg),
+  hiveMarket: (cfg, { hiveApi }) => new HiveMarketPriceProvider(hiveApi),
+  hiveEngine: (cfg, { heApi }) => new HiveEnginePriceProvider(heApi),
+};
+
+/**
+ * Chain of price providers: each is tried in order until one returns a positive HIVE quote
+ * (in every requested currency). The result is cached and records the provider it came from.
+ */
+export class HivePriceProvider {
+  #providers;
+  #cacheMs;
+  #memo;
+  #log;
+
+  /**
+   * @param {Object} cfg
+   * @param {Array<string|PriceProvider>} cfg.priceProviders - built-in provider names or custom providers
+   * @param {{ hiveApi: HiveApi, heApi: HiveEngineApi }} apis - used by the on-chain providers
+   */
+  constructor(cfg, apis) {
+    this.#providers = cfg.priceProviders.map(provider => (
+      typeof provider === 'string' ? PRICE_PROVIDER_FACTORIES[provider](cfg, apis) : provider
+    ));
+    this.#cacheMs = cfg.priceCacheMins * 60000;
     this.#memo = null;
+    this.#log = cfg.log;
   }
 
-  getHiveUsd = async () => withRetries(async () => {
+  // quotes are always fetched in USD, plus any other currency requested so far
+  #getPrices = async (currencies = []) => {
     const now = Date.now();
-    if (this.#memo && ((now - this.#memo.ts) < this.#cacheMs)) {
+    const cached = this.#memo && ((now - this.#memo.ts) < this.#cacheMs);
+    if (cached && currencies.every(cur => this.#memo.val.hive[cur] > 0)) {
       return this.#memo.val;
     }
-    const data = await fetchRetry(this.#fetch, this.#url).then(r => r.json());
-    const val = data?.hive?.usd;
-    if (val) {
-      this.#memo = { ts: now, val };
+    const wanted = [...new Set([...(cached ? Object.keys(this.#memo.val.hive) : []), ...currencies])]
+      .filter(cur => cur !== 'usd');
+
+    const failures = [];
+    for (const provider of this.#providers) {
+      try {
+        const { hive = {}, hbd = {} } = await provider.getQuotes(wanted) ?? {};
+        // a zero price means the provider has no data, not that HIVE is worthless
+        const missing = ['usd', ...currencies].filter(cur => !(hive[cur] > 0));
+        if (missing.length) throw new Error(`no HIVE quote in ${missing.join(', ')}`);
+        const val = { hive, hbd, source: provider.name };
+        this.#memo = { ts: now, val };
+        this.#log.debug('[HR] [HivePriceProvider] quotes', val);
+        return val;
+      } catch (err) {
+        failures.push(`${provider.name}: ${err.message}`);
+      }
     }
-    return val ?? 0;
-  });
+    throw new PriceUnavailableError(
+      `No price provider returned a valid HIVE price (${failures.join('; ')})`,
+      { symbols: ['HIVE'] },
+    );
+  };
+
+  getHiveUsd = async () => (await this.#getPrices()).hive.usd;
+
+  // HBD is pegged to ~1 USD: we fall back to the peg if the provider doesn't quote it
+  getHbdUsd = async () => {
+    const { hbd } = await this.#getPrices();
+    return hbd.usd > 0 ? hbd.usd : 1;
+  };
+
+  /**
+   * HIVE and HBD USD prices along with the provider they came from.
+   * @returns {Promise<{ hiveUsd: number, hbdUsd: number, source: string }>}
+   */
+  getQuote = async () => {
+    const { hive, hbd, source } = await this.#getPrices();
+    return { hiveUsd: hive.usd, hbdUsd: hbd.usd > 0 ? hbd.usd : 1, source };
+  };
+
+  /**
+   * Exchange rates from USD to each currency, derived from the HIVE quotes.
+   * @param {string[]} currencies - lower case currency codes, eg. ['eur', 'brl']
+   * @returns {Promise<Object<string, number>>} eg. { eur: 0.92, brl: 5.1 }
+   */
+  getFxRates = async (currencies) => {
+    const { hive } = await this.#getPrices(currencies);
+    return Object.fromEntries(currencies.map(cur => [cur, hive[cur] / hive.usd]));
+  };
+}
+
+/**
+ * Price closest to (and not after) ts in a [[ts, price]] series sorted by time.
+ * Falls back to the first point when ts precedes the series.
+ * @param {Array<[number, number]>} series
+ * @param {number} ts
+ * @returns {number|undefined}
+ */
+const priceAt = (series, ts) => {
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid][0] <= ts) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return series[found]?.[1];
+};
+
+export class HistoricalPriceProvider {
+  #fetch;
+  #url;
+  #heApi;
+  #series;
+
+  constructor(cfg, heApi) {
+    this.#fetch = cfg.fetch;
+    this.#url = cfg.hivePriceHistoryUrl;
+    this.#heApi = heApi;
+    this.#series = new Map();
+  }
+
+  // a transfer without a price history is valued 0: reported as a warning of the scan
+  #missing = (symbol, report) => {
+    report(new PriceUnavailableError(`No price history for ${symbol}`, { symbols: [symbol], historical: true }));
+    return 0;
+  };
+
+  // one series per coin/token and scan range, fetched once and shared by every account of the scan
+  #load = async (key, loader) => {
+    if (!this.#series.has(key)) {
+      this.#series.set(key, loader().catch((err) => {
+        this.#series.delete(key);
+        throw err;
+      }));
+    }
+    return this.#series.get(key);
+  };
+
+  #usdSeries = ({ fromTs, toTs }, coinId) => this.#load(`${coinId}:${fromTs}:${toTs}`, () => withRetries(async () => {
+    // pad the range by a day so the first transfers still have a preceding daily point
+    const url = new URL(this.#url.replace('{id}', coinId));
+    url.searchParams.set('from', Math.floor((fromTs - 86400000) / 1000));
+    url.searchParams.set('to', Math.ceil(toTs / 1000));
+    const data = await fetchRetry(this.#fetch, url.toString()).then(res => assertOk(res, 'Price history').json());
+    return (data?.prices ?? []).sort((aa, bb) => aa[0] - bb[0]);
+  }));
+
+  #tokenHiveSeries = ({ fromTs, toTs }, symbol) => this.#load(`${symbol}:${fromTs}:${toTs}`, () => withRetries(async () => {
+    const days = await this.#heApi.getMarketHistory({ symbol, fromTs: fromTs - 86400000, toTs });
+    return (days ?? [])
+      .map(day => [day.timestamp * 1000, +day.closePrice])
+      .sort((aa, bb) => aa[0] - bb[0]);
+  }));
+
+  /**
+   * USD value of one unit of a Hive-layer asset (HIVE, HP, HBD) at a given time.
+   * @param {Function} report - issues reporter of the calling scan
+   * @returns {Promise<number>} 0 when no history is available (1 for HBD, its peg)
+   */
+  getHiveAssetUsdAt = async (asset, ts, range, report) => {
+    const isHbd = asset === 'HBD';
+    const series = await this.#usdSeries(range, isHbd ? 'hive_dollar' : 'hive');
+    return priceAt(series, ts) ?? (isHbd ? 1 : this.#missing(asset, report));
+  };
+
+  /**
+   * USD value of one token unit at a given time, from its daily HIVE close and HIVE/USD at that time.
+   * SWAP.HIVE and SWAP.HBD are valued as the HIVE and HBD they are pegged to.
+   * @param {Function} report - issues reporter of the calling scan
+   * @returns {Promise<number>} 0 when no history is available
+   */
+  getTokenUsdAt = async (symbol, ts, range, report) => {
+    if (symbol === 'SWAP.HBD') return this.getHiveAssetUsdAt('HBD', ts, range, report);
+    const hiveUsd = await this.getHiveAssetUsdAt('HIVE', ts, range, report);
+    if (symbol === 'SWAP.HIVE') return hiveUsd;
+    const series = await this.#tokenHiveSeries(range, symbol);
+    return (priceAt(series, ts) ?? this.#missing(symbol, report)) * hiveUsd;
+  };
 }
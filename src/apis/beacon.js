@@ -6,6 +6,8 @@
 import defaultHiveJs, { api as defaultHiveApi } from '@hiveio/hive-js';
 import { promisify } from 'util';
 
+import { NoHealthyNodeError, assertOk } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
 import { buildUrl, fetchFn, fetchRetry, sleep, withRetries } from '../utils/utils.js';
 
 
@@ -14,7 +16,29 @@ import { buildUrl, fetchFn, fetchRetry, sleep, withRetries } from '../utils/util
 // we allow clients to inject their own hiveJs instance
 let hiveJs = defaultHiveJs;
 let hiveApi = defaultHiveApi;
-export const setHiveJs = inst => { hiveJs = inst; hiveApi = inst.api; };
+export const setHiveJs = inst => { hiveJs = inst; hiveApi = inst.api; hiveClients.clear(); };
+
+// one hive-js client per node: setOptions({ url }) on the shared one would move the concurrent scans too.
+// A hive-js build without the Hive class falls back to the shared client
+const hiveClients = new Map();
+const hiveClientOf = (url) => {
+  if (typeof hiveApi.Hive !== 'function') {
+    hiveJs.api.setOptions({ url });
+    return hiveApi;
+  }
+  if (!hiveClients.has(url)) hiveClients.set(url, new hiveApi.Hive({ url }));
+  return hiveClients.get(url);
+};
+
+// ...and their own logger (see createLogger): the analyzers pass theirs per call,
+// this one is used by the background refreshes and by direct calls to the wrappers
+let log = createLogger();
+let logSet = false;
+export const setLogger = (logger) => { log = createLogger({ log: logger }); logSet = true; };
+// the first analyzer's logger becomes the module one, unless one was set
+export const adoptLogger = (logger) => { if (!logSet) setLogger(logger); };
+
+export const DEFAULT_RETRIES = 3;
 
 
 const BEACON_URLS = {
@@ -55,11 +79,14 @@ const HEALTH_STALE_AFTER_MS = 10 * 60 * 1000; // X mins
 
 
 const cache = {
-  hive: { nodes: [], lastFetch: 0 },
-  he:   { nodes: [], lastFetch: 0 },
-  heh:  { nodes: [], lastFetch: 0 },
+  hive: { nodes: [], lastFetch: 0, source: 'defaults' },
+  he:   { nodes: [], lastFetch: 0, source: 'defaults' },
+  heh:  { nodes: [], lastFetch: 0, source: 'defaults' },
 };
 
+// endpoint last used by the API wrappers, per type (reported in the scans progress)
+const nodesInUse = { hive: null, he: null, heh: null };
+
 
 // ## PERIODIC REFRESH
 
@@ -67,8 +94,10 @@ const cache = {
  * we fetch and cache the list of healthy endpoints for the given type
  * if the beacon call fails or returns no healthy nodes, we fall back to DEFAULT_NODES[type]
  * @param {'hive'|'he'|'heh'} type
+ * @param {Object} [logger] - logger of the caller, the module one at the time of logging by default
  */
-const refreshNodes = async (type) => {
+const refreshNodes = async (type, logger) => {
+  const warn = (...args) => (logger ?? log).warn(...args);
   try {
     let allNodes = [];
     try {
@@ -84,11 +113,7 @@ const refreshNodes = async (type) => {
       ]);
       allNodes = await res.json();
     } catch (errFetch) {
-      console.error(
-        '\n[nodesApi] Failed to query Peakd Beacon. Using default nodes.',
-        errFetch,
-        new Error().stack,
-      );
+      warn('[HR] [beacon] Failed to query Peakd Beacon, using the default nodes', { type, error: errFetch.message });
     }
     const healthy = allNodes?.filter((n) =>
       n.score === 100 &&
@@ -98,13 +123,12 @@ const refreshNodes = async (type) => {
     cache[type].nodes = healthy?.length
       ? healthy.map((n) => n.endpoint)
       : [...DEFAULT_NODES[type]];
+    cache[type].source = healthy?.length ? 'beacon' : 'defaults';
     cache[type].lastFetch = Date.now();
   } catch (err) {
-    console.error(
-      `[nodesApi] Caught error processing ${type} nodes. Using defaults.`,
-      err,
-    );
+    warn('[HR] [beacon] Failed to process the beacon nodes, using the default nodes', { type, error: err.message });
     cache[type].nodes = [...DEFAULT_NODES[type]];
+    cache[type].source = 'defaults';
     cache[type].lastFetch = Date.now();
   }
 };
@@ -130,9 +154,10 @@ Object.keys(BEACON_URLS)
  * Pick another url or refresh occurs also as first thing if a prevUrl to discard is passed in.
  * @param {'hive'|'he'|'heh'} type
  * @param {string} prevUrl
+ * @param {Object} [logger] - logger of the caller, the module one by default
  * @returns {Promise<string>}
  */
-export const getNodeEndpoint = async ({ type, prevUrl }, attempt = 1, baseDelay = 300) => {
+export const getNodeEndpoint = async ({ type, prevUrl, logger = log }, attempt = 1, baseDelay = 300) => {
   if (prevUrl) {
     cache[type].nodes = cache[type].nodes.filter(n => n !== prevUrl);
   }
@@ -140,10 +165,10 @@ export const getNodeEndpoint = async ({ type, prevUrl }, attempt = 1, baseDelay
   const hasCachedNodes = nodes?.length;
   const hasStaleNodes = (Date.now() - lastFetch) > HEALTH_STALE_AFTER_MS;
   if (!hasCachedNodes || hasStaleNodes) {
-    await refreshNodes(type);
+    await refreshNodes(type, logger);
   }
   if (!cache[type].nodes.length) {
-    throw new Error(`No healthy ${type} nodes available`);
+    throw new NoHealthyNodeError(`No healthy ${type} nodes available`, { type });
   }
   const list = cache[type].nodes;
   const url = list[Math.floor(Math.random() * list.length)];
@@ -151,34 +176,66 @@ export const getNodeEndpoint = async ({ type, prevUrl }, attempt = 1, baseDelay
     await fetchFn(url, { method: 'HEAD' }); // connectivity check (eg. client lost connection)
     return url;
   } catch (err) {
-    console.error('Client connectivity check failed', url, err);
+    logger.warn('[HR] [beacon] Connectivity check failed', { type, url, attempt, error: err.message });
     if (attempt === 3) {
-      console.error(`\n\n ❗ Connectivity checks failed. Please verify your connection. ❗ \n\n`);
-      throw new Error('client has no connectivity');
+      logger.error('[HR] [beacon] Connectivity checks failed. Please verify your connection', { type });
+      throw new NoHealthyNodeError('client has no connectivity', { type });
     }
     cache[type].nodes = cache[type].nodes.filter((n) => n !== url);
     await sleep((2 ** attempt) * baseDelay);
-    return getNodeEndpoint({ type, prevUrl }, ++attempt, baseDelay);
+    return getNodeEndpoint({ type, prevUrl, logger }, ++attempt, baseDelay);
+  }
+};
+
+/**
+ * List the cached endpoints of the given type (refreshed if stale), timing a HEAD request to each.
+ * @param {'hive'|'he'|'heh'} type
+ * @returns {Promise<{ source: 'beacon'|'defaults', nodes: { url: string, latencyMs: number|null, error?: string }[] }>}
+ */
+export const getNodesStatus = async (type) => {
+  const { nodes, lastFetch } = cache[type];
+  if (!nodes.length || (Date.now() - lastFetch) > HEALTH_STALE_AFTER_MS) {
+    await refreshNodes(type);
   }
+  const statuses = await Promise.all(cache[type].nodes.map(async (url) => {
+    const start = Date.now();
+    try {
+      await fetchRetry(fetchFn, url, { method: 'HEAD' }, 1, BEACON_FETCH_TIMEOUT_MS);
+      return { url, latencyMs: Date.now() - start };
+    } catch (err) {
+      return { url, latencyMs: null, error: err.message };
+    }
+  }));
+  return { source: cache[type].source, nodes: statuses };
 };
 
+/**
+ * Endpoint the API wrappers last sent a request of the given type to.
+ * @param {'hive'|'he'|'heh'} type
+ * @returns {string|null}
+ */
+export const getNodeInUse = type => nodesInUse[type];
+
 /**
  * Get a healthy Hive RPC endpoint.
+ * @param {Object} [logger] - logger of the caller, the module one by default
  * @returns {Promise<string>}
  */
-export const getHealthyHiveNode = () => getNodeEndpoint({ type: 'hive' });
+export const getHealthyHiveNode = (logger) => getNodeEndpoint({ type: 'hive', logger });
 
 /**
  * Get a healthy Hive Engine API endpoint.
+ * @param {Object} [logger] - logger of the caller, the module one by default
  * @returns {Promise<string>}
  */
-export const getHealthyHeNode = () => getNodeEndpoint({ type: 'he' });
+export const getHealthyHeNode = (logger) => getNodeEndpoint({ type: 'he', logger });
 
 /**
  * Get a healthy Hive Engine History endpoint.
+ * @param {Object} [logger] - logger of the caller, the module one by default
  * @returns {Promise<string>}
  */
-export const getHealthyHeHistoryNode = () => getNodeEndpoint({ type: 'heh' });
+export const getHealthyHeHistoryNode = (logger) => getNodeEndpoint({ type: 'heh', logger });
 
 
 // ## HIVE/HE API WRAPPERS
@@ -188,9 +245,12 @@ export const getHealthyHeHistoryNode = () => getNodeEndpoint({ type: 'heh' });
  * @param {string} methodName - RPC method name on hiveJs.api
  * @param {Array<*>} args - arguments array for the RPC call
  * @param {number} [retries=3] - optional number of retry attempts
+ * @param {Object} [logger] - logger of the caller, the module one by default
+ * @param {string} [nodeUrl] - endpoint to send the call to first, eg. one set in the config, the
+ *   healthy nodes being the failover
  * @returns {Promise<*>}
  */
-export async function hiveApiCall(methodName, args, retries = 3) {
+export async function hiveApiCall(methodName, args, retries = DEFAULT_RETRIES, logger = log, nodeUrl) {
   // ensure the method exists on hiveApi
   if (typeof hiveApi[methodName] !== 'function') {
     throw new Error(
@@ -198,35 +258,40 @@ export async function hiveApiCall(methodName, args, retries = 3) {
     );
   }
 
-  let apiEndpoint = await getHealthyHiveNode();
-  hiveJs.api.setOptions({ url: apiEndpoint });
-  const rpcFn = promisify(hiveApi[methodName]).bind(hiveApi);
+  let apiEndpoint = nodeUrl ?? await getHealthyHiveNode(logger);
+  nodesInUse.hive = apiEndpoint;
 
   return withRetries(async attempt => {
     if (attempt > 0) {
-      const newEndpoint = await getNodeEndpoint({ type: 'hive', prevUrl: apiEndpoint });
-      console.log('Swapped to new endpoint:', newEndpoint);
+      const newEndpoint = await getNodeEndpoint({ type: 'hive', logger, prevUrl: apiEndpoint });
+      logger.warn('[HR] [beacon] Swapped to a new endpoint', { type: 'hive', url: newEndpoint });
       apiEndpoint = newEndpoint;
-      hiveJs.api.setOptions({ url: newEndpoint });
+      nodesInUse.hive = newEndpoint;
     }
-    return rpcFn(...args);
+    const client = hiveClientOf(apiEndpoint);
+    return promisify(client[methodName]).bind(client)(...args);
   }, retries);
 }
 
 /**
  * Wrap Hive Engine RPC calls with retries and endpoint failover.
- * @param {Object} body - JSON-RPC request body
+ * @param {Object|Object[]} body - JSON-RPC request body, or an array of them for a batch call
  * @param {number} [retries=3] - optional number of retry attempts
+ * @param {Object} [logger] - logger of the caller, the module one by default
+ * @param {string} [nodeUrl] - endpoint to send the call to first, eg. one set in the config, the
+ *   healthy nodes being the failover
  * @returns {Promise<Object>}
  */
-export async function hiveEngineApiCall(body, retries = 3) {
-  let rpcEndpoint = await getHealthyHeNode();
+export async function hiveEngineApiCall(body, retries = DEFAULT_RETRIES, logger = log, nodeUrl) {
+  let rpcEndpoint = nodeUrl ?? await getHealthyHeNode(logger);
+  nodesInUse.he = rpcEndpoint;
 
   return withRetries(async attempt => {
     if (attempt > 0) {
-      const newEndpoint = await getNodeEndpoint({ type: 'he', prevUrl: rpcEndpoint });
-      console.log('Swapped to new endpoint:', newEndpoint);
+      const newEndpoint = await getNodeEndpoint({ type: 'he', logger, prevUrl: rpcEndpoint });
+      logger.warn('[HR] [beacon] Swapped to a new endpoint', { type: 'he', url: newEndpoint });
       rpcEndpoint = newEndpoint;
+      nodesInUse.he = newEndpoint;
     }
     const url = buildUrl(rpcEndpoint, 'contracts');
     const res = await fetchRetry(fetchFn, url, {
@@ -234,10 +299,7 @@ export async function hiveEngineApiCall(body, retries = 3) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(body),
     }, retries);
-    if (!res.ok) {
-      throw new Error(`HE RPC (${url}): ${res.status}`);
-    }
-    return res.json();
+    return assertOk(res, `HE RPC (${url})`).json();
   }, retries);
 }
 
@@ -247,23 +309,56 @@ export async function hiveEngineApiCall(body, retries = 3) {
  * @param {number} limit - number of records
  * @param {number} [offset=0] - pagination offset
  * @param {number} [retries=3] - optional number of retry attempts
+ * @param {Object} [logger] - logger of the caller, the module one by default
+ * @param {string} [nodeUrl] - endpoint to send the call to first, eg. one set in the config, the
+ *   healthy nodes being the failover
  * @returns {Promise<Object>}
  */
-export async function hiveEngineHistoryApiCall(account, limit, offset = 0, retries = 3) {
-  let historyEndpoint = await getHealthyHeHistoryNode();
+export async function hiveEngineHistoryApiCall(
+  account, limit, offset = 0, retries = DEFAULT_RETRIES, logger = log, nodeUrl,
+) {
+  let historyEndpoint = nodeUrl ?? await getHealthyHeHistoryNode(logger);
+  nodesInUse.heh = historyEndpoint;
 
   return withRetries(async attempt => {
     if (attempt > 0) {
-      const newEndpoint = await getNodeEndpoint({ type: 'heh', prevUrl: historyEndpoint });
-      console.log('Swapped to new endpoint:', newEndpoint);
+      const newEndpoint = await getNodeEndpoint({ type: 'heh', logger, prevUrl: historyEndpoint });
+      logger.warn('[HR] [beacon] Swapped to a new endpoint', { type: 'heh', url: newEndpoint });
       historyEndpoint = newEndpoint;
+      nodesInUse.heh = newEndpoint;
     }
     const qs = `account=${encodeURIComponent(account)}&limit=${limit}&offset=${offset}&type=user`;
     const url = buildUrl(historyEndpoint, `accountHistory?${qs}`);
     const res = await fetchRetry(fetchFn, url, {}, retries);
-    if (!res.ok) {
-      throw new Error(`HE history (${url}): ${res.status}`);
+    return assertOk(res, `HE history (${url})`).json();
+  }, retries);
+}
+
+/**
+ * Wrap Hive Engine History daily market metrics GET calls with retries and endpoint failover.
+ * @param {string} symbol - token symbol
+ * @param {number} timestampStart - unix timestamp in seconds
+ * @param {number} timestampEnd - unix timestamp in seconds
+ * @param {number} [retries=3] - optional number of retry attempts
+ * @param {Object} [logger] - logger of the caller, the module one by default
+ * @param {string} [nodeUrl] - endpoint to send the call to first, eg. one set in the config, the
+ *   healthy nodes being the failover
+ * @returns {Promise<Array<Object>>}
+ */
+export async function hiveEngineMarketHistoryApiCall(
+  symbol, timestampStart, timestampEnd, retries = DEFAULT_RETRIES, logger = log, nodeUrl,
+) {
+  let historyEndpoint = nodeUrl ?? await getHealthyHeHistoryNode(logger);
+
+  return withRetries(async attempt => {
+    if (attempt > 0) {
+      const newEndpoint = await getNodeEndpoint({ type: 'heh', logger, prevUrl: historyEndpoint });
+      logger.warn('[HR] [beacon] Swapped to a new endpoint', { type: 'heh', url: newEndpoint });
+      historyEndpoint = newEndpoint;
     }
-    return res.json();
+    const qs = `symbol=${encodeURIComponent(symbol)}&timestampStart=${timestampStart}&timestampEnd=${timestampEnd}`;
+    const url = buildUrl(historyEndpoint, `marketHistory?${qs}`);
+    const res = await fetchRetry(fetchFn, url, {}, retries);
+    return assertOk(res, `HE market history (${url})`).json();
   }, retries);
-}
\ No newline at end of file
+}
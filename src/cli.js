@@ -0,0 +1,545 @@
+#!/usr/bin/env node
+
+/* -------------------------------------------------------------------------- */
+/* Imports                                                                    */
+/* -------------------------------------------------------------------------- */
+import { writeFile } from 'fs/promises';
+import { extname } from 'path';
+
+import {
+  DEFAULT_CONCURRENCY, DEFAULT_LOG_LEVEL, DEFAULT_WATCH_INTERVAL_MS, LOG_LEVELS, OUTPUT_FORMATS,
+} from './config/config.js';
+import { hiveRewards, peakdBeaconWrapper } from './rewards.js';
+import { RANGE_KEYS, loadProfile } from './utils/cliConfig.js';
+import { formatResult } from './utils/formatters.js';
+import { createLogger } from './utils/logger.js';
+
+
+// logs go to stderr: stdout only carries the results, eg. to pipe them as CSV
+const STDERR_LOG = Object.fromEntries(LOG_LEVELS.slice(1).map(level => [level, console.error]));
+peakdBeaconWrapper.setLogger(STDERR_LOG);
+
+const NODE_TYPES = ['hive', 'he', 'heh'];
+
+
+/* -------------------------------------------------------------------------- */
+/* Help                                                                       */
+/* -------------------------------------------------------------------------- */
+
+const OUTPUT_HELP = `
+Output:
+  --format <format>          ${OUTPUT_FORMATS.join('|')} (default: pretty printed object)
+  --output <file>            write to a file, format guessed from its extension
+  --log-level <level>        ${LOG_LEVELS.join('|')} (default: ${DEFAULT_LOG_LEVEL}, stderr)
+  --verbose                  same as --log-level debug`;
+
+const PROFILE_HELP = `
+  --config <file>            config file (default: hiverewards.config.json)
+  --profile <name>           named profile of the config file, flags override it`;
+
+const WINDOW_HELP = `
+Window:
+  --hours <n> | --days <n>   last n hours / days
+  --from-date <iso>          start date, eg. 2025-04-01 (with --to-date, default: now)
+  --to-date <iso>            end date`;
+
+const CONCURRENCY_HELP = `
+  --concurrency <n>          accounts scanned in parallel (default: ${DEFAULT_CONCURRENCY})`;
+
+const STRICT_HELP = `
+  --strict                   fail on an invalid account, a missing price or an incomplete
+                             history instead of reporting it in errors / warnings`;
+
+const SCAN_HELP = `
+  --token-ops <list>         token operation families, eg. transfers,stakes,issues
+  --currency <list>          output currencies, eg. eur or eur,brl
+  --token-pricing <name>     token pricing strategy, eg. pool
+  --historical-prices        also value transfers at the prices of their time
+  --include-transactions     attach every matched transfer to its bucket
+  --group-by <bucket>        time series per hour|day|week|month
+  --timezone <tz>            time series timezone, eg. Europe/Rome${CONCURRENCY_HELP}${STRICT_HELP}`;
+
+const HELP = {
+  main: `Usage: hiverewards <command> [options]
+
+Commands:
+  inbound <receivers...>     earnings received by accounts, per category or sender
+  outbound <senders...>      payouts sent by accounts, per recipient
+  rewards <accounts...>      chain rewards (author, curation, interest...)
+  nodes [hive|he|heh]        beacon nodes, their latency and the chosen endpoint
+  price <symbols...>         current valuation of HIVE, HBD or Hive-Engine tokens
+  history <account>          decoded recent operations of an account
+  watch                      live feed of new transfers, with running totals
+
+"hiverewards <command> --help" shows the options of a command.
+Without a command, --profile <name> runs the mode of the profile.`,
+
+  inbound: `Usage: hiverewards inbound <receivers...> [--from <category>=<sender>...] [options]
+
+Earnings received by the accounts in the window. Without --from, every sender is
+reported per account.
+
+  --from <pairs...>          category=sender pairs, eg. pvp=cryptoshotsdoom tips=a,b
+  --all-senders              report every sender, not only the --from ones${SCAN_HELP}${PROFILE_HELP}
+${WINDOW_HELP}
+${OUTPUT_HELP}`,
+
+  outbound: `Usage: hiverewards outbound <senders...> [options]
+
+Payouts sent by the accounts in the window, per recipient.
+
+  --ignored-receivers <list> recipients left out, eg. keychain.swap,karina.gpt${SCAN_HELP}${PROFILE_HELP}
+${WINDOW_HELP}
+${OUTPUT_HELP}`,
+
+  rewards: `Usage: hiverewards rewards <accounts...> [options]
+
+Chain rewards of the accounts in the window: author, curation, benefactor, interest...
+${CONCURRENCY_HELP}${STRICT_HELP}${PROFILE_HELP}
+${WINDOW_HELP}
+${OUTPUT_HELP}`,
+
+  nodes: `Usage: hiverewards nodes [hive|he|heh...] [options]
+
+Nodes listed by the beacon (or the built-in defaults when it is down) with the latency
+of a HEAD request, and the endpoint the analyzer would pick. Lists every type by default:
+  hive                       Hive RPC nodes
+  he                         Hive-Engine RPC nodes
+  heh                        Hive-Engine history nodes
+${OUTPUT_HELP.replace('pretty printed object', 'table')}`,
+
+  price: `Usage: hiverewards price [HIVE|HBD|<SYMBOL>...] [options]
+
+Current USD valuation of HIVE (default), HBD, HP or Hive-Engine tokens, and its source.
+
+  --currency <list>          also convert to these currencies, eg. eur or eur,brl
+  --token-pricing <name>     token pricing strategy, eg. pool${STRICT_HELP}${PROFILE_HELP}
+${OUTPUT_HELP.replace('pretty printed object', 'table')}`,
+
+  history: `Usage: hiverewards history <account> [options]
+
+Most recent operations of the account, decoded (transfers with their amount and memo).
+
+  --engine                   Hive-Engine history instead of the Hive one
+  --limit <n>                number of operations (default: 20)${PROFILE_HELP}
+${OUTPUT_HELP.replace('pretty printed object', 'table')}`,
+
+  watch: `Usage: hiverewards watch --receivers <list> [--from <category>=<sender>...] [--senders <list>] [options]
+
+Follows the Hive and Hive-Engine histories of the accounts and prints every new transfer
+to the receivers (from any sender without --from) or from the senders, valued at the
+current prices. Ctrl+C stops it and prints the totals since the start.
+
+  --receivers <list>         accounts watched like "inbound", eg. obifenom,zillionz
+  --senders <list>           accounts watched like "outbound", eg. cryptoshots.tips
+  --from <pairs...>          category=sender pairs, eg. pvp=cryptoshotsdoom tips=a,b
+  --all-senders              report every sender, not only the --from ones
+  --ignored-receivers <list> recipients of the senders left out
+  --token-ops <list>         token operation families, eg. transfers,stakes,issues
+  --currency <list>          output currencies, eg. eur or eur,brl
+  --interval <seconds>       polling interval (default: ${DEFAULT_WATCH_INTERVAL_MS / 1000})${PROFILE_HELP}
+
+Output:
+  --format ndjson            one JSON transfer per line (default: one readable line each)
+  --log-level <level>        ${LOG_LEVELS.join('|')} (default: ${DEFAULT_LOG_LEVEL}, stderr)
+  --verbose                  same as --log-level debug`,
+};
+
+
+/* -------------------------------------------------------------------------- */
+/* Flags                                                                      */
+/* -------------------------------------------------------------------------- */
+
+const OUTPUT_FLAGS = { booleans: ['--verbose', '--help'], values: ['--format', '--output', '--log-level'] };
+const PROFILE_FLAGS = { values: ['--config', '--profile'] };
+const WINDOW_FLAGS = { values: ['--hours', '--days', '--from-date', '--to-date'] };
+const SCAN_FLAGS = {
+  booleans: ['--historical-prices', '--include-transactions', '--strict'],
+  values: ['--token-ops', '--currency', '--token-pricing', '--group-by', '--timezone', '--concurrency'],
+};
+
+const flagsOf = (...specs) => ({
+  booleans: specs.flatMap(spec => spec.booleans ?? []),
+  values: specs.flatMap(spec => spec.values ?? []),
+  lists: specs.flatMap(spec => spec.lists ?? []),
+});
+
+// flags allowed per command
+const COMMAND_FLAGS = {
+  inbound: flagsOf(OUTPUT_FLAGS, PROFILE_FLAGS, WINDOW_FLAGS, SCAN_FLAGS, { booleans: ['--all-senders'], lists: ['--from'] }),
+  outbound: flagsOf(OUTPUT_FLAGS, PROFILE_FLAGS, WINDOW_FLAGS, SCAN_FLAGS, { values: ['--ignored-receivers'] }),
+  rewards: flagsOf(OUTPUT_FLAGS, PROFILE_FLAGS, WINDOW_FLAGS, { booleans: ['--strict'], values: ['--concurrency'] }),
+  nodes: flagsOf(OUTPUT_FLAGS),
+  price: flagsOf(OUTPUT_FLAGS, PROFILE_FLAGS, { booleans: ['--strict'], values: ['--currency', '--token-pricing'] }),
+  history: flagsOf(OUTPUT_FLAGS, PROFILE_FLAGS, { booleans: ['--engine'], values: ['--limit'] }),
+  watch: flagsOf(PROFILE_FLAGS, {
+    booleans: ['--verbose', '--help', '--all-senders'],
+    values: [
+      '--format', '--log-level', '--receivers', '--senders', '--ignored-receivers', '--token-ops', '--currency',
+      '--interval',
+    ],
+    lists: ['--from'],
+  }),
+};
+
+// profile params a watch takes
+const WATCH_KEYS = [
+  'receivers', 'senders', 'hiveSenders', 'tokenSenders', 'allSenders', 'ignoredReceivers', 'memoFilter',
+  'tokenOps', 'currency', 'interval',
+];
+
+/**
+ * Split the arguments of a command into positionals and flags. Boolean flags are set to true,
+ * value flags take the next argument and list flags every argument up to the next flag.
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {{ positionals: string[], flags: Object }}
+ */
+const parseArgs = (command, args) => {
+  const { booleans, values, lists } = COMMAND_FLAGS[command];
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+    } else if (booleans.includes(arg)) {
+      flags[arg] = true;
+    } else if (values.includes(arg)) {
+      const val = args[i + 1];
+      if (!val || val.startsWith('--')) throw new Error(`${arg} must be followed by a value`);
+      flags[arg] = val;
+      i += 1;
+    } else if (lists.includes(arg)) {
+      const list = [];
+      while (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        list.push(args[i + 1]);
+        i += 1;
+      }
+      if (!list.length) throw new Error(`${arg} must be followed by at least one value`);
+      flags[arg] = list;
+    } else {
+      throw new Error(`Unknown option ${arg} for "${command}". See: hiverewards ${command} --help`);
+    }
+  }
+  return { positionals, flags };
+};
+
+const positiveInt = (flags, flag) => {
+  if (flags[flag] == null) return undefined;
+  const num = Number(flags[flag]);
+  if (!Number.isInteger(num) || num <= 0) throw new Error(`${flag} must be a positive integer`);
+  return num;
+};
+
+const isoDate = (flags, flag) => {
+  if (flags[flag] == null) return undefined;
+  if (Number.isNaN(new Date(flags[flag]).getTime())) throw new Error(`${flag} must be a valid ISO date`);
+  return flags[flag];
+};
+
+const listOf = (flags, flag) => {
+  if (flags[flag] == null) return undefined;
+  const list = flags[flag].split(',').filter(Boolean);
+  if (!list.length) throw new Error(`${flag} must be followed by a comma separated list`);
+  return list;
+};
+
+const definedOf = obj => Object.fromEntries(Object.entries(obj).filter(([, val]) => val !== undefined));
+
+/**
+ * Scan params of inbound / outbound / rewards: the profile's ones overridden by the flags.
+ * A window given on the command line replaces the profile's one as a whole.
+ */
+const scanQueryOf = (flags, profile) => {
+  const hours = positiveInt(flags, '--hours');
+  const days = positiveInt(flags, '--days');
+  const from = isoDate(flags, '--from-date');
+  const to = isoDate(flags, '--to-date');
+  if (hours && days) throw new Error('Use either --hours or --days, not both');
+  if (from && (hours || days)) throw new Error('Use either --from-date or --hours/--days, not both');
+
+  const cliRange = definedOf({ hours, days, from, to });
+  const profileQuery = Object.keys(cliRange).length
+    ? Object.fromEntries(Object.entries(profile.query).filter(([key]) => !RANGE_KEYS.includes(key)))
+    : profile.query;
+  return {
+    ...profileQuery,
+    ...cliRange,
+    ...definedOf({
+      allSenders: flags['--all-senders'],
+      tokenOps: listOf(flags, '--token-ops'),
+      historicalPrices: flags['--historical-prices'],
+      currency: listOf(flags, '--currency'),
+      tokenPricing: flags['--token-pricing'],
+      includeTransactions: flags['--include-transactions'],
+      groupBy: flags['--group-by'],
+      timezone: flags['--timezone'],
+      ignoredReceivers: listOf(flags, '--ignored-receivers'),
+      concurrency: positiveInt(flags, '--concurrency'),
+    }),
+  };
+};
+
+/**
+ * Progress lines (stderr, at most one per second besides the completed scans) and Ctrl+C
+ * cancellation of a scan.
+ * @param {Object} log - CLI logger: progress is logged at the info level
+ * @returns {{ onProgress: Function, signal: AbortSignal }}
+ */
+const scanControls = (log) => {
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  let lastTs = 0;
+  return {
+    signal: controller.signal,
+    onProgress: ({
+      scan, account, layer, pages, oldest, percent, node, done,
+    }) => {
+      if (!done && Date.now() - lastTs < 1000) return;
+      lastTs = Date.now();
+      const reached = oldest ? `, back to ${oldest}` : '';
+      log.info(`[HR] [${scan}] ${account} ${layer}: ${percent}% - ${pages} page(s)${reached}${node ? ` (${node})` : ''}`);
+    },
+  };
+};
+
+/**
+ * Turn --from category=sender pairs into hiveSenders / tokenSenders.
+ * key=acc1,acc2 maps a category to several sender accounts.
+ */
+const sendersOf = (pairs) => {
+  const senders = {};
+  for (const pair of pairs) {
+    const [key, val] = pair.split('=');
+    if (!key || !val) throw new Error(`Invalid sender pair: ${pair}. Use key=value`);
+    senders[key] = val.includes(',') ? val.split(',').filter(Boolean) : val;
+  }
+  return { hiveSenders: senders, tokenSenders: { ...senders } };
+};
+
+
+/* -------------------------------------------------------------------------- */
+/* Commands                                                                   */
+/* -------------------------------------------------------------------------- */
+
+const loggerOf = (flags, profile = { cfg: {} }) => createLogger({
+  log: STDERR_LOG,
+  logLevel: flags['--log-level'] ?? (flags['--verbose'] ? 'debug' : profile.cfg.logLevel),
+  verbose: profile.cfg.verbose,
+});
+
+const analyzerOf = (flags, profile, cfg = {}) => hiveRewards({
+  ...profile.cfg,
+  ...cfg,
+  ...(flags['--strict'] && { strict: true }),
+  log: loggerOf(flags, profile),
+});
+
+// each command resolves to [title, result, default format], or null when it printed its output
+const COMMANDS = {
+  inbound: async ({ positionals, flags, profile }) => {
+    const query = scanQueryOf(flags, profile);
+    if (positionals.length) query.receivers = positionals;
+    if (!query.receivers?.length) throw new Error('No receiver accounts. See: hiverewards inbound --help');
+    // without --from (or profile senders) every sender is reported, grouped per account
+    if (flags['--from']) Object.assign(query, sendersOf(flags['--from']));
+    Object.assign(query, scanControls(loggerOf(flags, profile)));
+
+    const analyzer = await analyzerOf(flags, profile);
+    return ['INBOUND RESULTS', await analyzer.inbounds(query)];
+  },
+
+  outbound: async ({ positionals, flags, profile }) => {
+    const query = scanQueryOf(flags, profile);
+    if (positionals.length) query.senders = positionals;
+    if (!query.senders?.length) throw new Error('No sender accounts. See: hiverewards outbound --help');
+    Object.assign(query, scanControls(loggerOf(flags, profile)));
+
+    const analyzer = await analyzerOf(flags, profile);
+    return ['OUTBOUND RESULTS', await analyzer.outbounds(query)];
+  },
+
+  rewards: async ({ positionals, flags, profile }) => {
+    const query = scanQueryOf(flags, profile);
+    if (positionals.length) query.accounts = positionals;
+    if (!query.accounts?.length) throw new Error('No accounts. See: hiverewards rewards --help');
+    Object.assign(query, scanControls(loggerOf(flags, profile)));
+
+    const analyzer = await analyzerOf(flags, profile);
+    return ['CHAIN REWARDS RESULTS', await analyzer.chainRewards(query)];
+  },
+
+  nodes: async ({ positionals, flags }) => {
+    const types = positionals.length ? positionals : NODE_TYPES;
+    const unknown = types.filter(type => !NODE_TYPES.includes(type));
+    if (unknown.length) throw new Error(`Unknown node type(s): ${unknown.join(', ')}. Use any of: ${NODE_TYPES.join(', ')}`);
+
+    const {
+      getNodesStatus, getHealthyHiveNode, getHealthyHeNode, getHealthyHeHistoryNode,
+    } = peakdBeaconWrapper;
+    peakdBeaconWrapper.setLogger(loggerOf(flags));
+    const chosenOf = { hive: getHealthyHiveNode, he: getHealthyHeNode, heh: getHealthyHeHistoryNode };
+    const nodes = [];
+    for (const type of types) {
+      const { source, nodes: statuses } = await getNodesStatus(type);
+      const chosen = await chosenOf[type]();
+      nodes.push(...statuses.map(status => ({
+        type, ...status, chosen: status.url === chosen, source,
+      })));
+    }
+    return ['NODES', { nodes }, 'table'];
+  },
+
+  price: async ({ positionals, flags, profile }) => {
+    const analyzer = await analyzerOf(flags, profile, definedOf({ tokenPricing: flags['--token-pricing'] }));
+    const res = await analyzer.prices(definedOf({
+      symbols: positionals.length ? positionals : undefined,
+      currency: listOf(flags, '--currency'),
+    }));
+    return ['PRICES', res, 'table'];
+  },
+
+  history: async ({ positionals, flags, profile }) => {
+    if (positionals.length !== 1) throw new Error('Specify one account. See: hiverewards history --help');
+    const analyzer = await analyzerOf(flags, profile);
+    const res = await analyzer.history(definedOf({
+      account: positionals[0],
+      engine: flags['--engine'],
+      limit: positiveInt(flags, '--limit'),
+    }));
+    return ['HISTORY', res, 'table'];
+  },
+
+  // runs until Ctrl+C, printing the transfers as they come: nothing left to emit afterwards
+  watch: async ({
+    positionals, flags, profile, format,
+  }) => {
+    if (positionals.length) throw new Error('Pass the accounts with --receivers / --senders. See: hiverewards watch --help');
+    if (format && format !== 'ndjson') throw new Error('watch only supports --format ndjson');
+    const interval = positiveInt(flags, '--interval');
+    const query = {
+      ...Object.fromEntries(Object.entries(profile.query).filter(([key]) => WATCH_KEYS.includes(key))),
+      ...definedOf({
+        receivers: listOf(flags, '--receivers'),
+        senders: listOf(flags, '--senders'),
+        allSenders: flags['--all-senders'],
+        ignoredReceivers: listOf(flags, '--ignored-receivers'),
+        tokenOps: listOf(flags, '--token-ops'),
+        currency: listOf(flags, '--currency'),
+        interval: interval && interval * 1000,
+      }),
+      ...(flags['--from'] && sendersOf(flags['--from'])),
+    };
+
+    const analyzer = await analyzerOf(flags, profile);
+    const watcher = await analyzer.watch(query);
+    const currencies = [query.currency ?? profile.cfg.currency ?? 'usd'].flat().map(cur => cur.toLowerCase());
+    const print = (ev) => {
+      if (format) {
+        process.stdout.write(`${JSON.stringify(ev)}\n`);
+        return;
+      }
+      const way = ev.direction === 'inbound' ? `IN   ${ev.to} <- ${ev.from}` : `OUT  ${ev.from} -> ${ev.to}`;
+      const value = currencies.map(cur => `${ev[cur]} ${cur.toUpperCase()}`).join(' / ');
+      const category = ev.category ? `  [${ev.category}]` : '';
+      process.stdout.write(`${ev.timestamp}  ${way}  ${ev.amount} ${ev.asset ?? ev.symbol}  (${value})${category}\n`);
+    };
+    watcher.on('hiveTransfer', print).on('tokenTransfer', print);
+    watcher.on('error', err => console.error(`[HR] [watch] ${err.message}, retrying at the next poll`));
+
+    await new Promise((res) => {
+      process.once('SIGINT', res);
+      process.once('SIGTERM', res);
+    });
+    watcher.stop();
+    console.error(`\nWATCH TOTALS:\n${JSON.stringify(watcher.totals(), null, 2)}`);
+    return null;
+  },
+};
+
+
+/* -------------------------------------------------------------------------- */
+/* Output                                                                     */
+/* -------------------------------------------------------------------------- */
+
+const formatOfFile = file => ({
+  '.csv': 'csv', '.ndjson': 'ndjson', '.md': 'markdown', '.txt': 'table',
+})[extname(file)] ?? 'json';
+
+/**
+ * Print a result: pretty printed when neither a format nor a file is given (and the command has
+ * no default format), otherwise rendered with formatResult() to stdout or to the output file.
+ */
+const emit = async (title, res, { format, output }) => {
+  if (!format && !output) {
+    console.error(`\n${title}:`);
+    console.dir(res, { depth: null });
+    return;
+  }
+  const text = `${formatResult(res, format ?? formatOfFile(output))}\n`;
+  if (output) {
+    await writeFile(output, text);
+    console.error(`[HR] results written to ${output}`);
+  } else {
+    await new Promise(done => process.stdout.write(text, done));
+  }
+};
+
+
+/* -------------------------------------------------------------------------- */
+/* Main                                                                       */
+/* -------------------------------------------------------------------------- */
+
+const main = async () => {
+  const argv = process.argv.slice(2);
+  let command = argv[0] && !argv[0].startsWith('--') ? argv[0] : undefined;
+  const args = command ? argv.slice(1) : argv;
+
+  if (command === 'help') {
+    console.error(HELP[args[0]] ?? HELP.main);
+    return;
+  }
+  if (command && !COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Use any of: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  if (args.includes('--help') || (!command && !args.includes('--profile'))) {
+    console.error(HELP[command] ?? HELP.main);
+    return;
+  }
+
+  /* config file and named profile, eg. --profile weekly-pvp (see hiverewards.config.json) */
+  const valueOf = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx === -1 ? undefined : args[idx + 1];
+  };
+  const profile = COMMAND_FLAGS[command ?? 'inbound'].values.includes('--profile')
+    ? await loadProfile({ configPath: valueOf('--config'), profileName: valueOf('--profile') })
+    : { cfg: {}, query: {} };
+  // without a command, the profile tells which scan to run
+  command = command ?? profile.mode;
+  if (!COMMANDS[command]) {
+    throw new Error('Specify a command, eg. hiverewards inbound <receivers...>, or a --profile with a mode');
+  }
+
+  const { positionals, flags } = parseArgs(command, args);
+  const format = flags['--format'] ?? profile.format;
+  const output = flags['--output'] ?? profile.output;
+  if (format && !OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  const out = await COMMANDS[command]({
+    positionals, flags, profile, format,
+  });
+  if (!out) return;
+  const [title, res, defaultFormat] = out;
+  await emit(title, res, { format: format ?? (output ? undefined : defaultFormat), output });
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err.name === 'AbortError' ? '[HR] Scan cancelled' : `[HR] ${err.message}`);
+    process.exit(1);
+  });
@@ -1,8 +1,79 @@
 
-export const DEFAULT_PRICE_API = 'https://api.coingecko.com/api/v3/simple/price?ids=hive&vs_currencies=usd';
+// vs_currencies is extended with the requested output currencies
+export const DEFAULT_PRICE_API = 'https://api.coingecko.com/api/v3/simple/price?ids=hive,hive_dollar&vs_currencies=usd';
+export const DEFAULT_CURRENCY = 'usd';
+// HIVE price sources, tried in order until one returns a valid quote
+export const PRICE_PROVIDERS = ['coingecko', 'hiveMarket', 'hiveEngine'];
+export const DEFAULT_PRICE_PROVIDERS = PRICE_PROVIDERS;
+
+// how Hive-Engine tokens are priced (in SWAP.HIVE), see TOKEN_PRICE_STRATEGIES
+export const TOKEN_PRICING_STRATEGIES = ['lastPrice', 'orderBook', 'vwap', 'pool'];
+export const DEFAULT_TOKEN_PRICING = 'lastPrice';
+// tokens pegged 1:1 to a Hive-layer asset are priced as that asset
+export const PEGGED_TOKENS = {
+  'SWAP.HIVE': 'HIVE',
+  'SWAP.HBD': 'HBD',
+};
+// SWAP.HIVE traded / available around a token price for it to be rated high / medium confidence
+export const PRICE_CONFIDENCE_LIQUIDITY = { high: 1000, medium: 100 };
+// max symbols priced per Hive-Engine query / JSON-RPC batch
+export const HE_PRICE_BATCH_SIZE = 50;
+// CLI config file (looked up in the working directory) and the scans a profile can run
+export const DEFAULT_CLI_CONFIG_FILE = 'hiverewards.config.json';
+export const CLI_MODES = ['inbound', 'outbound', 'rewards', 'watch'];
+// result renderings, see formatResult()
+export const OUTPUT_FORMATS = ['csv', 'json', 'ndjson', 'markdown', 'table'];
+// time series buckets (groupBy); weeks start on Monday
+export const TIME_BUCKETS = ['hour', 'day', 'week', 'month'];
+export const DEFAULT_TIMEZONE = 'UTC';
+// log levels, from the quietest; each level also logs the ones before it
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug', 'trace'];
+export const DEFAULT_LOG_LEVEL = 'info';
+// live watch: how often the watched accounts' histories are polled (a Hive block every 3s)
+export const DEFAULT_WATCH_INTERVAL_MS = 15_000;
+// {id} is replaced by the coin id (hive / hive_dollar), from/to are appended as unix timestamps
+export const DEFAULT_PRICE_HISTORY_API = 'https://api.coingecko.com/api/v3/coins/{id}/market_chart/range?vs_currency=usd';
 
 export const DEFAULT_TRACKING_HOURS = 24;
-export const DEFAULT_API_CALLS_DELAY_MS = 500;
+// max requests started per second to each endpoint type, shared by the accounts scanned in parallel
+export const DEFAULT_RATE_LIMITS = { hive: 4, he: 4, heh: 4 };
+export const RATE_LIMITED_ENDPOINTS = Object.keys(DEFAULT_RATE_LIMITS);
+// accounts scanned in parallel by inbounds / outbounds / chainRewards
+export const DEFAULT_CONCURRENCY = 1;
 export const DEFAULT_PRICE_CACHING_MINS = 10;
 export const DEFAULT_HIVE_HISTORY_LIMIT = 500;
 export const DEFAULT_HE_HISTORY_LIMIT = 250;
+// history records an analyzer keeps in memory per layer (Hive / Hive-Engine), see HistoryCache
+export const DEFAULT_HISTORY_CACHE_SIZE = 100_000;
+
+// Hive-layer ops that move HIVE/HBD between accounts (fill_* are the virtual ops of delayed transfers)
+export const HIVE_TRANSFER_OPS = [
+  'transfer',
+  'transfer_to_vesting',
+  'transfer_to_savings',
+  'fill_transfer_from_savings',
+  'fill_recurrent_transfer',
+];
+
+// rewards emitted by the chain itself (virtual ops), plus the claim op that moves them to the balances
+export const CHAIN_REWARD_OPS = [
+  'author_reward',
+  'curation_reward',
+  'comment_benefactor_reward',
+  'producer_reward',
+  'interest',
+  'claim_reward_balance',
+];
+
+// Hive-Engine operation families that can be counted as token earnings (see HE_OP_DECODERS)
+export const TOKEN_OP_FAMILIES = [
+  'transfers', // tokens_transfer, tokens_transferFromContract
+  'stakes', // tokens_stake
+  'issues', // tokens_issue
+  'delegations', // tokens_delegate
+  'unstakes', // tokens_unstakeDone
+  'swaps', // marketpools_swapTokens
+  'market', // market_buy / market_sell fills
+  'distributions', // distribution contract payouts
+];
+export const DEFAULT_TOKEN_OPS = ['transfers', 'stakes'];
@@ -7,6 +7,17 @@ export {
   peakdBeaconWrapper,
 } from './rewards.js';
 
+export { formatResult, toRows } from './utils/formatters.js';
+export { createLogger } from './utils/logger.js';
+export {
+  HiveRewardsError,
+  InvalidAccountError,
+  NoHealthyNodeError,
+  PriceUnavailableError,
+  HistoryIncompleteError,
+  RateLimitedError,
+} from './utils/errors.js';
+
 import { hiveApiCall, hiveEngineApiCall, hiveEngineHistoryApiCall } from './apis/beacon.js';
 
 
@@ -1,30 +1,37 @@
-#!/usr/bin/env node
-
 /* -------------------------------------------------------------------------- */
 /* Imports                                                                    */
 /* -------------------------------------------------------------------------- */
 import hiveJs from '@hiveio/hive-js';
 
 import {
+  adoptLogger,
   getHealthyHiveNode,
   getHealthyHeNode,
   getHealthyHeHistoryNode,
+  getNodesStatus,
   setHiveJs,
+  setLogger,
 } from './apis/beacon.js';
-import {
-  fetchFn,
-  isBrowser,
-} from './utils/utils.js';
+import { fetchFn } from './utils/utils.js';
 
 import {
   DEFAULT_TRACKING_HOURS,
-  DEFAULT_API_CALLS_DELAY_MS,
+  DEFAULT_RATE_LIMITS,
+  DEFAULT_CONCURRENCY,
   DEFAULT_PRICE_API,
+  DEFAULT_PRICE_HISTORY_API,
   DEFAULT_PRICE_CACHING_MINS,
   DEFAULT_HIVE_HISTORY_LIMIT,
   DEFAULT_HE_HISTORY_LIMIT,
+  DEFAULT_HISTORY_CACHE_SIZE,
+  DEFAULT_TOKEN_OPS,
+  DEFAULT_CURRENCY,
+  DEFAULT_PRICE_PROVIDERS,
+  DEFAULT_TOKEN_PRICING,
+  DEFAULT_TIMEZONE,
 } from './config/config.js';
 import { EarningsAnalyzer } from './services/orchestrator.js';
+import { createLogger } from './utils/logger.js';
 import { validateGlobalParams } from './utils/validateParams.js';
 
 
@@ -34,14 +41,25 @@ const defaultConfigBase = {
   hiveUtils: hiveJs.utils,
   log: console,
   hours: DEFAULT_TRACKING_HOURS,
-  apiCallsDelay: DEFAULT_API_CALLS_DELAY_MS,
+  rateLimits: DEFAULT_RATE_LIMITS,
+  concurrency: DEFAULT_CONCURRENCY,
   hivePriceUrl: process.env.HIVE_PRICE_URL ?? DEFAULT_PRICE_API,
+  hivePriceHistoryUrl: process.env.HIVE_PRICE_HISTORY_URL ?? DEFAULT_PRICE_HISTORY_API,
   priceCacheMins: DEFAULT_PRICE_CACHING_MINS,
   hiveHistoryLimit: DEFAULT_HIVE_HISTORY_LIMIT,
   heHistoryLimit: DEFAULT_HE_HISTORY_LIMIT,
+  historyCacheSize: DEFAULT_HISTORY_CACHE_SIZE,
   hiveSenders: {},
   tokenSenders: {},
   ignoredReceivers: [],
+  tokenOps: DEFAULT_TOKEN_OPS,
+  nftValuation: false,
+  historicalPrices: false,
+  currency: DEFAULT_CURRENCY,
+  priceProviders: DEFAULT_PRICE_PROVIDERS,
+  tokenPricing: DEFAULT_TOKEN_PRICING,
+  includeTransactions: false,
+  timezone: DEFAULT_TIMEZONE,
 };
 
 
@@ -58,19 +76,19 @@ const buildConfig = async (userCfg = {}) => {
   ] = await Promise.all([
     userCfg.hiveNodeUrl
       ? Promise.resolve(userCfg.hiveNodeUrl)
-      : getHealthyHiveNode(),
+      : getHealthyHiveNode(userCfg.log),
     userCfg.hiveEngineRpcUrl
       ? Promise.resolve(userCfg.hiveEngineRpcUrl)
-      : getHealthyHeNode(),
+      : getHealthyHeNode(userCfg.log),
     userCfg.hiveEngineHistoryUrl
       ? Promise.resolve(userCfg.hiveEngineHistoryUrl)
-      : getHealthyHeHistoryNode(),
+      : getHealthyHeHistoryNode(userCfg.log),
   ]);
 
   const durationSeconds = ((Date.now() - startTs) / 1000).toFixed(2);
-  console.log(
-    `[HR] Config initialized in ${durationSeconds}s`,
-    { verbose: userCfg.verbose, hiveNodeUrl, hiveEngineRpcUrl, hiveEngineHistoryUrl },
+  userCfg.log.info(
+    '[HR] Config initialized',
+    { durationSeconds: +durationSeconds, hiveNodeUrl, hiveEngineRpcUrl, hiveEngineHistoryUrl },
   );
 
   if (userCfg.hiveJs) {
@@ -78,12 +96,11 @@ const buildConfig = async (userCfg = {}) => {
     setHiveJs(userCfg.hiveJs);
   }
 
+  // the node URLs stay in the config only when set by the user: the APIs then try them first
   return {
     ...defaultConfigBase,
-    hiveNodeUrl,
-    hiveEngineRpcUrl,
-    hiveEngineHistoryUrl,
     ...userCfg,
+    rateLimits: { ...DEFAULT_RATE_LIMITS, ...userCfg.rateLimits },
   };
 };
 
@@ -92,8 +109,10 @@ const buildConfig = async (userCfg = {}) => {
 /* -------------------------------------------------------------------------- */
 
 export const hiveRewards = async (userCfg = {}) => {
-  console.log('[HR] initialization');
-  const cfg = await buildConfig(userCfg);
+  const log = createLogger({ ...defaultConfigBase, ...userCfg });
+  adoptLogger(log);
+  log.info('[HR] initialization', { level: log.level });
+  const cfg = await buildConfig({ ...userCfg, log });
   validateGlobalParams(cfg);
   return new EarningsAnalyzer(cfg);
 };
@@ -102,122 +121,6 @@ export const peakdBeaconWrapper = {
   getHealthyHiveNode,
   getHealthyHeNode,
   getHealthyHeHistoryNode,
+  getNodesStatus,
+  setLogger,
 };
-
-
-/* -------------------------------------------------------------------------- */
-/* CLI helper (Node only)                                                     */
-/* -------------------------------------------------------------------------- */
-
-if (!isBrowser) {
-  (async () => {
-    const { fileURLToPath } = await import('url');
-    const { resolve } = await import('path');
-    const __filename = fileURLToPath(import.meta.url);
-
-    if (process.argv[1] && resolve(process.argv[1]) === __filename) { // ie. executed from terminal
-      const raw = process.argv.slice(2);
-
-      /* flags validation – we only allow these */
-      const allowed = new Set(['--inbound', '--from', '--outbound', '--verbose', '--hours', '--days']);
-      const illegal = raw.filter(a => a.startsWith('--') && !allowed.has(a));
-      if (illegal.length) throw new Error(`Unknown option(s): ${illegal.join(', ')}`);
-
-      const verbose = raw.includes('--verbose');
-      if (verbose) raw.splice(raw.indexOf('--verbose'), 1);
-
-      /* parse hours/days overrides */
-      const hoursIdx = raw.indexOf('--hours');
-      const daysIdx = raw.indexOf('--days');
-      if (hoursIdx !== -1 && daysIdx !== -1) {
-        throw new Error('Use either --hours or --days, not both');
-      }
-      let hoursOverride;
-      let daysOverride;
-      if (hoursIdx !== -1) {
-        hoursOverride = parseInt(raw[hoursIdx + 1], 10);
-        if (!Number.isInteger(hoursOverride) || hoursOverride <= 0) {
-          throw new Error('--hours must be a positive integer');
-        }
-        raw.splice(hoursIdx, 2);
-      }
-      if (daysIdx !== -1) {
-        daysOverride = parseInt(raw[daysIdx + 1], 10);
-        if (!Number.isInteger(daysOverride) || daysOverride <= 0) {
-          throw new Error('--days must be a positive integer');
-        }
-        raw.splice(daysIdx, 2);
-      }
-
-      /* execution mode validation */
-      const inIdx = raw.indexOf('--inbound');
-      const outIdx = raw.indexOf('--outbound');
-      if ((inIdx !== -1 && outIdx !== -1) || (inIdx === -1 && outIdx === -1)) {
-        throw new Error('Specify **either** --inbound or --outbound');
-      }
-
-      /* flags util */
-      const collectList = (arr, startIdx) => {
-        const list = [];
-        let i = startIdx + 1;
-        while (i < arr.length && !arr[i].startsWith('--')) {
-          list.push(arr[i]);
-          i += 1;
-        }
-        return list;
-      };
-
-      /* INBOUND */
-      if (inIdx !== -1) {
-        const receivers = collectList(raw, inIdx);
-        if (!receivers.length) throw new Error('No accounts after --inbound');
-
-        const fromIdx = raw.indexOf('--from');
-        if (fromIdx === -1) throw new Error('Missing required --from flag');
-        const kvPairs = collectList(raw, fromIdx);
-        if (!kvPairs.length) throw new Error('No key=value pairs after --from');
-
-        const hiveSenders = {};
-        const tokenSenders = {};
-        for (const pair of kvPairs) {
-          const [key, val] = pair.split('=');
-          if (!key || !val) {
-            throw new Error(`Invalid sender pair: ${pair}. Use key=value`);
-          }
-          hiveSenders[key] = val;
-          tokenSenders[key] = val;
-        }
-
-        const analyzer = await hiveRewards({ verbose });
-        const res = await analyzer.inbounds({
-          receivers,
-          hiveSenders,
-          tokenSenders,
-          hours: hoursOverride,
-          days: daysOverride,
-        });
-
-        console.log('\nINBOUND RESULTS:');
-        console.dir(res, { depth: null });
-        process.exit(0);
-        return;
-      }
-
-      /* OUTBOUND */
-      const senders = collectList(raw, outIdx);
-      if (!senders.length) throw new Error('No accounts after --outbound');
-
-      const analyzer = await hiveRewards({ verbose });
-      const res = await analyzer.outbounds({
-        senders,
-        hours: hoursOverride,
-        days: daysOverride,
-        ignoredReceivers: [],
-      });
-
-      console.log('\nOUTBOUND RESULTS:');
-      console.dir(res, { depth: null });
-      process.exit(0);
-    }
-  })();
-}
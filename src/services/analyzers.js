@@ -1,4 +1,503 @@
-import { camelFromEnum, sleep, withRetries } from '../utils/utils.js';
+import {
+  CHAIN_REWARD_OPS, HE_PRICE_BATCH_SIZE, HIVE_TRANSFER_OPS, PEGGED_TOKENS, PRICE_CONFIDENCE_LIQUIDITY,
+  TOKEN_OP_FAMILIES,
+} from '../config/config.js';
+import {
+  camelFromEnum, hiveTsToMs, parseAsset, periodOf, withRetries,
+} from '../utils/utils.js';
+import { HistoryIncompleteError, PriceUnavailableError } from '../utils/errors.js';
+
+/* -------------------------------------------------------------------------- */
+/* Scan range helpers                                                         */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * History is paged newest → oldest, so anything older than the lower bound ends the scan.
+ * Block bounds only apply to the Hive layer (HE history has sidechain block numbers).
+ * @param {{ fromTs: number, fromBlock?: number }} range
+ * @param {number} ts - entry timestamp in ms
+ * @param {number} [block] - Hive block number of the entry
+ * @returns {boolean}
+ */
+const isBeforeRange = ({ fromTs, fromBlock }, ts, block) => ts < fromTs
+  || (fromBlock != null && block != null && block < fromBlock);
+
+/**
+ * Entries newer than the upper bound are skipped while paging towards the range.
+ * @param {{ toTs: number, toBlock?: number }} range
+ * @param {number} ts - entry timestamp in ms
+ * @param {number} [block] - Hive block number of the entry
+ * @returns {boolean}
+ */
+const isAfterRange = ({ toTs, toBlock }, ts, block) => ts > toTs
+  || (toBlock != null && block != null && block > toBlock);
+
+/**
+ * Progress of a history scan, paged newest → oldest. After each page, onProgress gets the pages
+ * fetched, the oldest entry reached, the share of the range covered and the node in use.
+ * The scan stops before fetching the next page once its signal is aborted.
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} opts - settings of the scan call
+ * @param {{ account: string, layer: 'hive'|'hive-engine', range: Object, nodeOf?: () => string|null }} scan
+ */
+const scanProgress = ({ onProgress, signal }, {
+  account, layer, range, nodeOf,
+}) => {
+  let pages = 0;
+  let oldestTs;
+  const report = (done) => {
+    if (!onProgress) return;
+    const covered = oldestTs == null
+      ? 0
+      : (range.toTs - Math.max(oldestTs, range.fromTs)) / (range.toTs - range.fromTs);
+    onProgress({
+      account,
+      layer,
+      pages,
+      ...(oldestTs != null && { oldest: new Date(oldestTs).toISOString() }),
+      percent: done ? 100 : Math.min(100, Math.max(0, Math.round(covered * 100))),
+      node: nodeOf?.() ?? null,
+      done,
+    });
+  };
+  return {
+    next: () => signal?.throwIfAborted(),
+    page: (oldest) => {
+      pages += 1;
+      oldestTs = oldest;
+      report(false);
+    },
+    done: () => report(true),
+  };
+};
+
+/**
+ * A Hive history page is only empty before the first entry: an empty page while older entries
+ * exist (start ≥ 0) means the node stopped serving the history, the rest of the range is missing.
+ * @param {{ report: Function }} opts - settings of the scan call
+ * @param {string} account
+ * @param {number} start - index the page was requested from
+ */
+const reportTruncatedHistory = ({ report }, account, start) => {
+  if (start < 0) return;
+  report(new HistoryIncompleteError(
+    `${account}'s Hive history ended at index ${start}, before the start of the scan range`,
+    { account, layer: 'hive' },
+  ));
+};
+
+/**
+ * Whether a Hive-Engine history scan is over: on an empty page, or on a response that is not a
+ * list of records (eg. an error body). The latter right after a full page means the node stopped
+ * serving the history and the rest of the range may be missing: it is reported. An empty page is
+ * the end of the history, even right after a full one (a history as long as a multiple of the
+ * page size).
+ * @param {{ report: Function }} opts - settings of the scan call
+ * @param {string} account
+ * @param {{ page: *, offset: number, previousLength: number, limit: number }} paging - the page
+ *   requested at offset, and the length of the one before it
+ * @returns {boolean}
+ */
+const engineHistoryEnded = ({ report }, account, {
+  page, offset, previousLength, limit,
+}) => {
+  if (Array.isArray(page)) return !page.length;
+  if (offset && previousLength === limit) {
+    report(new HistoryIncompleteError(
+      `${account}'s Hive-Engine history stopped at offset ${offset}, before reaching the start of the scan range`,
+      { account, layer: 'hive-engine' },
+    ));
+  }
+  return true;
+};
+
+/**
+ * Decode a Hive-layer value transfer (HIVE/HBD transfers, savings, power-ups, recurrent transfers).
+ * Power-ups are reported as HP, everything else keeps the asset it was sent in.
+ * @param {string} opName
+ * @param {Object} opData
+ * @returns {{ asset: 'HIVE'|'HBD'|'HP', amt: number, from: string, to: string, memo?: string }|null}
+ */
+const parseHiveTransfer = (opName, opData) => {
+  if (!HIVE_TRANSFER_OPS.includes(opName)) return null;
+  const { amount, symbol } = parseAsset(opData.amount);
+  if (!amount || (symbol !== 'HIVE' && symbol !== 'HBD')) return null;
+  return {
+    asset: opName === 'transfer_to_vesting' ? 'HP' : symbol,
+    amt: amount,
+    from: opData.from,
+    to: opData.to || opData.from, // power-ups with an empty "to" target the sender
+    memo: opData.memo,
+  };
+};
+
+/**
+ * @typedef {{ prefix: string }|{ regex: RegExp|string }} MemoMatcher
+ * @typedef {MemoMatcher & { label: string }} MemoRule
+ */
+
+const memoMatches = ({ prefix, regex }, memo) => {
+  const text = String(memo ?? '');
+  return prefix != null ? text.startsWith(prefix) : new RegExp(regex).test(text);
+};
+
+/**
+ * Label of the first memo rule matching the memo, 'other' when none does.
+ * @param {MemoRule[]} rules
+ * @param {string} [memo]
+ * @returns {string}
+ */
+export const memoLabelOf = (rules, memo) => rules.find(rule => memoMatches(rule, memo))?.label ?? 'other';
+
+/**
+ * Whether a transfer passes the memo filter: it must match one of the "include" matchers (if any)
+ * and none of the "exclude" ones.
+ * @param {{ include?: MemoMatcher[], exclude?: MemoMatcher[] }} [filter]
+ * @param {string} [memo]
+ * @returns {boolean}
+ */
+export const passesMemoFilter = ({ include, exclude } = {}, memo) => (
+  (!include?.length || include.some(rule => memoMatches(rule, memo)))
+  && !exclude?.some(rule => memoMatches(rule, memo))
+);
+
+/**
+ * Token movement decoded from a Hive-Engine history entry.
+ * @typedef {{ family: string, from: string, to: string, symbol: string, qty: number }} TokenMove
+ */
+
+const move = (family, from, to, symbol, quantity) => ({
+  family, from, to, symbol, qty: parseFloat(quantity),
+});
+
+/**
+ * Hive-Engine history decoders: each entry yields the token movements it caused.
+ * Contract-side counterparts (market, pools, unstakes) are reported under the contract name.
+ * @type {Object<string, (tx: Object) => TokenMove[]>}
+ */
+const HE_OP_DECODERS = {
+  tokens_transfer: tx => [move('transfers', tx.from, tx.to, tx.symbol, tx.quantity)],
+  transfer: tx => [move('transfers', tx.from, tx.to, tx.symbol, tx.quantity)],
+  tokens_transferFromContract: tx => [
+    move(tx.from === 'distribution' ? 'distributions' : 'transfers', tx.from, tx.to, tx.symbol, tx.quantity),
+  ],
+  tokens_stake: tx => [move('stakes', tx.from, tx.to, tx.symbol, tx.quantity)],
+  stake: tx => [move('stakes', tx.from, tx.to, tx.symbol, tx.quantity)],
+  tokens_issue: tx => [move('issues', tx.from, tx.to, tx.symbol, tx.quantity)],
+  tokens_delegate: tx => [move('delegations', tx.from, tx.to, tx.symbol, tx.quantity)],
+  tokens_unstakeDone: tx => [move('unstakes', 'tokens', tx.account, tx.symbol, tx.quantity)],
+  market_buy: tx => [
+    move('market', 'market', tx.account, tx.symbol, tx.quantityTokens),
+    move('market', tx.account, 'market', 'SWAP.HIVE', tx.quantityHive),
+  ],
+  market_sell: tx => [
+    move('market', tx.account, 'market', tx.symbol, tx.quantityTokens),
+    move('market', 'market', tx.account, 'SWAP.HIVE', tx.quantityHive),
+  ],
+  marketpools_swapTokens: tx => [
+    move('swaps', tx.account, 'marketpools', tx.symbolIn, tx.symbolInQuantity ?? tx.quantityIn),
+    move('swaps', 'marketpools', tx.account, tx.symbolOut, tx.symbolOutQuantity ?? tx.quantityOut),
+  ],
+};
+
+/**
+ * Decode a Hive-Engine history entry, keeping only the operation families counted as earnings.
+ * @param {Object} tx - history entry
+ * @param {string[]} families - eg. ['transfers', 'stakes']
+ * @returns {TokenMove[]}
+ */
+export const decodeTokenMoves = (tx, families) => (HE_OP_DECODERS[tx.operation]?.(tx) ?? [])
+  .filter(mv => families.includes(mv.family) && mv.symbol && mv.qty > 0);
+
+// families of the account's own operations: their counterpart is a contract (tokens, market,
+// marketpools), not a sender / recipient to filter on. Trades also count the side given away.
+const OWN_FAMILIES = ['unstakes', 'swaps', 'market'];
+const TRADE_FAMILIES = ['swaps', 'market'];
+
+/**
+ * A movement of the scanned account's own operations (OWN_FAMILIES), counted whatever the sender
+ * filter: what it received for inbounds, what it sent for outbounds. Both legs of a trade count,
+ * the opposite one negative, so that swaps and market fills are reported net.
+ * @param {TokenMove} mv
+ * @param {string} account - scanned account
+ * @param {'inbound'|'outbound'} direction
+ * @returns {{ counterpart: string, mv: TokenMove }|null} null for the other movements
+ */
+export const ownMoveOf = (mv, account, direction) => {
+  if (!OWN_FAMILIES.includes(mv.family)) return null;
+  const leg = (mv.to === account && 'inbound') || (mv.from === account && 'outbound');
+  if (!leg || (leg !== direction && !TRADE_FAMILIES.includes(mv.family))) return null;
+  return {
+    counterpart: leg === 'inbound' ? mv.from : mv.to,
+    mv: leg === direction ? mv : { ...mv, qty: -mv.qty },
+  };
+};
+
+/**
+ * NFT movement decoded from a Hive-Engine history entry.
+ * @typedef {{ from: string, to: string, symbol: string, ids: string[] }} NftMove
+ */
+
+const nftIdsOf = (tx) => {
+  const ids = tx.nfts ?? (tx.nft != null ? [tx.nft] : []);
+  return ids.map(id => String(id?.id ?? id));
+};
+
+/**
+ * Hive-Engine history decoders for NFT ops. Market purchases are reported as sent by `nftmarket`.
+ * @type {Object<string, (tx: Object) => NftMove>}
+ */
+const NFT_OP_DECODERS = {
+  nft_transfer: tx => ({ from: tx.from, to: tx.to, symbol: tx.symbol, ids: nftIdsOf(tx) }),
+  nft_issue: tx => ({ from: tx.from ?? tx.account, to: tx.to, symbol: tx.symbol, ids: nftIdsOf(tx) }),
+  nftmarket_buy: tx => ({ from: 'nftmarket', to: tx.account, symbol: tx.symbol, ids: nftIdsOf(tx) }),
+};
+
+/**
+ * @param {Object} tx - history entry
+ * @returns {NftMove|null}
+ */
+const decodeNftMove = (tx) => {
+  const mv = NFT_OP_DECODERS[tx.operation]?.(tx);
+  return mv?.symbol && mv.ids.length ? mv : null;
+};
+
+/**
+ * Add an NFT movement to nested { ...path: { [symbol]: { count, ids, transactions } } } maps.
+ * @param {Object} acc
+ * @param {string[]} path
+ * @param {NftMove} mv
+ * @param {Object} [record] - ledger record of the movement (includeTransactions)
+ */
+const tallyNfts = (acc, path, { symbol, ids }, record) => {
+  const leaf = path.reduce((node, key) => (node[key] ??= {}), acc);
+  leaf[symbol] ??= { count: 0, ids: [], transactions: 0 };
+  leaf[symbol].count += ids.length;
+  leaf[symbol].ids.push(...ids);
+  leaf[symbol].transactions += 1;
+  if (record) (leaf[symbol].entries ??= []).push(record);
+};
+
+const newTally = () => ({
+  raw: {}, counts: {}, ops: {}, usdAt: {}, entries: {},
+});
+
+/**
+ * Add a token movement to nested { ...path: { [symbol]: amount } } maps, tracking counts and
+ * the amount moved per operation family.
+ * @param {{ raw: Object, counts: Object, ops: Object, usdAt: Object, entries: Object }} acc - see newTally()
+ * @param {string[]} path - eg. [category] or [category, account]
+ * @param {TokenMove} mv
+ * @param {number} [usdAt] - USD value of the movement at the time it happened (historicalPrices)
+ * @param {Object} [record] - ledger record of the movement (includeTransactions)
+ */
+const tally = (acc, path, { symbol, qty, family }, usdAt, record) => {
+  const leaf = root => path.reduce((node, key) => (node[key] ??= {}), root);
+  const raw = leaf(acc.raw);
+  const counts = leaf(acc.counts);
+  const ops = leaf(acc.ops);
+  raw[symbol] = (raw[symbol] ?? 0) + qty;
+  counts[symbol] = (counts[symbol] ?? 0) + 1;
+  if (usdAt != null) {
+    const usdAtLeaf = leaf(acc.usdAt);
+    usdAtLeaf[symbol] = (usdAtLeaf[symbol] ?? 0) + usdAt;
+  }
+  if (record) {
+    const entriesLeaf = leaf(acc.entries);
+    (entriesLeaf[symbol] ??= []).push(record);
+  }
+  ops[symbol] ??= {};
+  ops[symbol][family] ??= { amount: 0, transactions: 0 };
+  ops[symbol][family].amount += qty;
+  ops[symbol][family].transactions += 1;
+};
+
+/**
+ * Ledger records of the matched transfers (includeTransactions). The USD value is added when
+ * the transfers are valued. Hive-Engine records carry the sidechain block number.
+ */
+const hiveRecord = (entry, ts, { asset, amt, from, to, memo }, usdAt) => ({
+  timestamp: new Date(ts).toISOString(),
+  block: entry.block,
+  trxId: entry.trx_id,
+  op: entry.op[0],
+  from,
+  to,
+  asset,
+  amount: amt,
+  memo: memo ?? '',
+  ...(usdAt != null && { usdAtTime: usdAt }),
+});
+
+const tokenRecord = (tx, ts, { family, from, to, symbol, qty }, usdAt) => ({
+  timestamp: new Date(ts).toISOString(),
+  block: tx.blockNumber,
+  trxId: tx.transactionId,
+  op: tx.operation,
+  family,
+  from,
+  to,
+  symbol,
+  amount: qty,
+  memo: tx.memo ?? '',
+  ...(usdAt != null && { usdAtTime: usdAt }),
+});
+
+const nftRecord = (tx, ts, { from, to, symbol, ids }) => ({
+  timestamp: new Date(ts).toISOString(),
+  block: tx.blockNumber,
+  trxId: tx.transactionId,
+  op: tx.operation,
+  from,
+  to,
+  symbol,
+  ids,
+  memo: tx.memo ?? '',
+});
+
+/**
+ * Add a token movement to the per period tallies (groupBy) of a group and of the overall series.
+ * @param {{ groups: Object, total: Object }} series - newTally()s
+ * @param {string} key - category, sender or recipient
+ * @param {string} period - see periodOf()
+ * @param {TokenMove} mv
+ * @param {number} [usdAt]
+ */
+const tallySeries = (series, key, period, mv, usdAt) => {
+  tally(series.groups, [key, period], mv, usdAt);
+  tally(series.total, [period], mv, usdAt);
+};
+
+/**
+ * Round the per operation family amounts of a symbol.
+ * @param {Object<string, { amount: number, transactions: number }>} [ops]
+ */
+export const roundOps = (ops = {}) => Object.fromEntries(
+  Object.entries(ops).map(([family, { amount, transactions }]) => [
+    family,
+    { amount: +amount.toFixed(2), transactions },
+  ])
+);
+
+/* -------------------------------------------------------------------------- */
+/* Token pricing                                                              */
+/* -------------------------------------------------------------------------- */
+
+const sumOf = (rows, fn) => rows.reduce((sum, row) => sum + fn(row), 0);
+
+const bySymbol = (symbols, fn) => Object.fromEntries(symbols.map(symbol => [symbol, fn(symbol)]));
+
+/**
+ * Token pricing strategies: each prices a batch of tokens in SWAP.HIVE, along with the SWAP.HIVE
+ * liquidity backing each price (24h volume, order book depth, recent trades volume or pool depth).
+ * @type {Object<string, (heApi: Object, symbols: string[]) =>
+ *   Promise<Object<string, { hivePrice: number, liquidity: number }>>>}
+ */
+const TOKEN_PRICE_STRATEGIES = {
+  lastPrice: async (heApi, symbols) => {
+    const metrics = await heApi.getMetricsBySymbol({ symbols });
+    return bySymbol(symbols, symbol => ({
+      hivePrice: +(metrics[symbol]?.lastPrice ?? 0),
+      liquidity: +(metrics[symbol]?.volume ?? 0),
+    }));
+  },
+  orderBook: async (heApi, symbols) => {
+    const books = await heApi.getOrderBooks({ symbols });
+    return bySymbol(symbols, (symbol) => {
+      const { bids, asks } = books[symbol];
+      const bid = +(bids[0]?.price ?? 0);
+      const ask = +(asks[0]?.price ?? 0);
+      if (!bid || !ask) return { hivePrice: 0, liquidity: 0 };
+      return {
+        hivePrice: (bid + ask) / 2,
+        liquidity: sumOf([...bids, ...asks], order => order.price * order.quantity),
+      };
+    });
+  },
+  vwap: async (heApi, symbols) => {
+    const trades = await heApi.getRecentTrades({ symbols });
+    return bySymbol(symbols, (symbol) => {
+      const volume = sumOf(trades[symbol], trade => trade.price * trade.quantity);
+      const quantity = sumOf(trades[symbol], trade => +trade.quantity);
+      return { hivePrice: quantity ? volume / quantity : 0, liquidity: volume };
+    });
+  },
+  pool: async (heApi, symbols) => {
+    const pools = await heApi.getPools({ symbols });
+    return bySymbol(symbols, (symbol) => {
+      const pool = pools[symbol];
+      if (!pool) return { hivePrice: 0, liquidity: 0 };
+      // basePrice is the base token priced in the quote token, quotePrice the reverse
+      const tokenIsBase = pool.tokenPair.startsWith(`${symbol}:`);
+      return {
+        hivePrice: +(tokenIsBase ? pool.basePrice : pool.quotePrice),
+        liquidity: 2 * +(tokenIsBase ? pool.quoteQuantity : pool.baseQuantity),
+      };
+    });
+  },
+};
+
+/**
+ * How much a token price can be trusted, from the SWAP.HIVE liquidity behind it.
+ * @param {number} hivePrice
+ * @param {number} liquidity
+ * @returns {'high'|'medium'|'low'|'none'}
+ */
+const confidenceOf = (hivePrice, liquidity) => {
+  if (!hivePrice) return 'none';
+  if (liquidity >= PRICE_CONFIDENCE_LIQUIDITY.high) return 'high';
+  if (liquidity >= PRICE_CONFIDENCE_LIQUIDITY.medium) return 'medium';
+  return 'low';
+};
+
+/**
+ * Extract the beneficiary and the paid assets of a chain reward op.
+ * @type {Object<string, (opData: Object) => { account: string, assets: Array<*> }>}
+ */
+const CHAIN_REWARD_DECODERS = {
+  author_reward: d => ({ account: d.author, assets: [d.hive_payout, d.hbd_payout, d.vesting_payout] }),
+  curation_reward: d => ({ account: d.curator, assets: [d.reward] }),
+  comment_benefactor_reward: d => ({ account: d.benefactor, assets: [d.hive_payout, d.hbd_payout, d.vesting_payout] }),
+  producer_reward: d => ({ account: d.producer, assets: [d.vesting_shares] }),
+  interest: d => ({ account: d.owner, assets: [d.interest] }),
+  claim_reward_balance: d => ({ account: d.account, assets: [d.reward_hive, d.reward_hbd, d.reward_vests] }),
+};
+
+/**
+ * Category (camelCased sender map key) a sender account belongs to, if any.
+ * @param {Object<string, string|string[]>} senders - eg. { PVP_HIVE: 'cryptoshots.tips', PVE_HIVE: ['hot1', 'hot2'] }
+ * @param {string} account
+ * @returns {string|undefined}
+ */
+export const categoryOf = (senders, account) => {
+  const match = Object.entries(senders).find(([, val]) => (
+    Array.isArray(val) ? val.includes(account) : val === account
+  ));
+  return match && camelFromEnum(match[0]);
+};
+
+// breakdown bucket of the senders outside the sender maps, when scanning every sender: the
+// breakdowns then cover the same transfers as the totals
+const OTHER_CATEGORY = 'other';
+
+/**
+ * All the accounts of a sender map, flattening categories paid by several accounts.
+ * @param {Object<string, string|string[]>} senders
+ * @returns {string[]}
+ */
+export const senderAccountsOf = senders => Object.values(senders).flat();
+
+/**
+ * HIVE backing each VESTS, from the dynamic global properties.
+ * @param {Object} props - result of getDynamicGlobalProperties
+ * @returns {number}
+ */
+export const hivePerVests = (props) => {
+  const { amount: fund } = parseAsset(props?.total_vesting_fund_hive);
+  const { amount: shares } = parseAsset(props?.total_vesting_shares);
+  if (!fund || !shares) throw new Error('Unable to read the vesting fund from the global properties');
+  return fund / shares;
+};
+
 
 /* -------------------------------------------------------------------------- */
 /* Domain services                                                            */
@@ -7,278 +506,881 @@ import { camelFromEnum, sleep, withRetries } from '../utils/utils.js';
 export class HiveEarningsService {
   #api;
   #cfg;
+  #histPrices;
 
-  constructor(api, cfg) {
+  constructor(api, cfg, histPrices) {
     this.#api = api;
     this.#cfg = cfg;
+    this.#histPrices = histPrices;
   }
 
-  analyzeInbound = async (username, sinceTs) => {
+  // USD value of a transfer when it happened, only computed when historicalPrices is on
+  #usdAtTime = async (asset, amt, ts, range, { historicalPrices, report }) => (historicalPrices
+    ? amt * await this.#histPrices.getHiveAssetUsdAt(asset, ts, range, report)
+    : undefined);
+
+  // add a transfer to a { [asset]: { amount, transactions, usdAtTime? } } bag
+  #addAsset = (assets, asset, amt, usdAt) => {
+    assets[asset] ??= { amount: 0, transactions: 0 };
+    assets[asset].amount += amt;
+    assets[asset].transactions += 1;
+    if (usdAt != null) assets[asset].usdAtTime = (assets[asset].usdAtTime ?? 0) + usdAt;
+  };
+
+  // per period assets (groupBy) of a group and of the overall series
+  #addToSeries = (series, key, period, asset, amt, usdAt) => {
+    series.groups[key] ??= {};
+    series.groups[key][period] ??= {};
+    this.#addAsset(series.groups[key][period], asset, amt, usdAt);
+    series.total[period] ??= {};
+    this.#addAsset(series.total[period], asset, amt, usdAt);
+  };
+
+  /**
+   * @param {string} username
+   * @param {{ fromTs: number, toTs: number }} range
+   * @param {Object} opts - settings of the scan call: the analyzer config and the call's params
+   */
+  analyzeInbound = async (username, range, opts) => {
     const {
-      hiveHistoryLimit, apiCallsDelay, hiveSenders, verbose, log,
-    } = this.#cfg;
-    verbose && log.debug('[HR] [analyzeInbound] (Hive)', { username, sinceTs });
-    const senderAccounts = Object.values(hiveSenders);
+      hiveHistoryLimit, hiveSenders, allSenders, perAccountBreakdown, historicalPrices,
+      memoRules = [], memoFilter, includeTransactions, groupBy, timezone, log,
+    } = opts;
+    log.debug('[HR] [analyzeInbound] (Hive)', { username, range, allSenders });
+    const senderAccounts = senderAccountsOf(hiveSenders);
     const breakdown = Object.fromEntries(
       Object.keys(hiveSenders).map(key => [
         camelFromEnum(key),
-        { tot: 0, transactions: 0 },
+        { tot: 0, transactions: 0, assets: {} },
       ])
     );
-    let totHiveSent = 0;
+    const totals = { HIVE: 0, HBD: 0, HP: 0 };
+    const perSender = {};
+    const perSenderEntries = {};
+    const series = { groups: {}, total: {} };
+    const byAccount = {};
+    const memoBreakdown = {};
+    let totHiveTransactions = 0;
+    let totUsdAtTime = 0;
     let more = true;
     let start = -1;
 
+    const progress = scanProgress(opts, {
+      account: username, layer: 'hive', range, nodeOf: this.#api.nodeInUse,
+    });
     while (more) {
+      progress.next();
       const page = await this.#api.getAccountHistory(
         username,
         start,
         hiveHistoryLimit
       );
-      if (!page.length) break;
+      if (!page.length) {
+        reportTruncatedHistory(opts, username, start);
+        break;
+      }
 
       for (const [idx, entry] of page.reverse()) {
         const [opName, opData] = entry.op;
-        const ts = new Date(entry.timestamp).getTime();
-        if (ts < sinceTs) {
+        const ts = hiveTsToMs(entry.timestamp);
+        if (isBeforeRange(range, ts, entry.block)) {
           more = false;
           break;
         }
+        if (isAfterRange(range, ts, entry.block)) continue;
 
-        const inbound = opData.to === username &&
-          senderAccounts.includes(opData.from) &&
-          opName === 'transfer' &&
-          opData.amount?.endsWith(' HIVE');
+        const transfer = parseHiveTransfer(opName, opData);
+        const inbound = transfer &&
+          transfer.to === username &&
+          transfer.from !== username &&
+          (allSenders || senderAccounts.includes(transfer.from)) &&
+          passesMemoFilter(memoFilter, transfer.memo);
 
         if (inbound) {
-          const amt = parseFloat(opData.amount);
-          totHiveSent += amt;
-          const category = camelFromEnum(
-            Object.entries(hiveSenders).find(([, val]) => val === opData.from)[0]
-          );
-          breakdown[category].tot += amt;
-          breakdown[category].transactions += 1;
-          verbose && log.debug('[HR] [HIVE-IN]', { idx, ts, amt, category });
+          const { asset, amt, from, memo } = transfer;
+          const usdAt = await this.#usdAtTime(asset, amt, ts, range, opts);
+          const record = includeTransactions && hiveRecord(entry, ts, transfer, usdAt);
+          totals[asset] += amt;
+          totHiveTransactions += 1;
+          totUsdAtTime += usdAt ?? 0;
+          const category = categoryOf(hiveSenders, from) ?? (allSenders ? OTHER_CATEGORY : undefined);
+          if (category) {
+            breakdown[category] ??= { tot: 0, transactions: 0, assets: {} };
+            const buckets = [breakdown[category]];
+            if (perAccountBreakdown) {
+              byAccount[category] ??= {};
+              byAccount[category][from] ??= { tot: 0, transactions: 0, assets: {} };
+              buckets.push(byAccount[category][from]);
+            }
+            if (memoRules.length) {
+              const label = memoLabelOf(memoRules, memo);
+              memoBreakdown[category] ??= {};
+              memoBreakdown[category][label] ??= { tot: 0, transactions: 0, assets: {} };
+              buckets.push(memoBreakdown[category][label]);
+            }
+            for (const bucket of buckets) {
+              if (asset === 'HIVE') bucket.tot += amt;
+              bucket.transactions += 1;
+              this.#addAsset(bucket.assets, asset, amt, usdAt);
+              if (record) (bucket.entries ??= []).push(record);
+            }
+          }
+          if (allSenders) {
+            perSender[from] ??= {};
+            this.#addAsset(perSender[from], asset, amt, usdAt);
+            if (record) (perSenderEntries[from] ??= []).push(record);
+          }
+          // wildcard scans are charted per sender, the others per category
+          const seriesKey = allSenders ? from : category;
+          if (groupBy && seriesKey) {
+            this.#addToSeries(series, seriesKey, periodOf(ts, groupBy, timezone), asset, amt, usdAt);
+          }
+          log.debug('[HR] [HIVE-IN]', { idx, ts, opName, asset, amt, from, category });
         }
       }
 
+      progress.page(hiveTsToMs(page[page.length - 1][1].timestamp));
       start = page[page.length - 1][0] - 1;
       if (start < 0) break;
-      await sleep(apiCallsDelay);
     }
+    progress.done();
 
-    const totHiveTransactions = Object.values(breakdown).reduce(
-      (sum, xx) => sum + xx.transactions,
-      0
-    );
-
-    return { totHiveSent, breakdown, totHiveTransactions };
+    return {
+      totHiveSent: totals.HIVE,
+      totHbdSent: totals.HBD,
+      totHpSent: totals.HP,
+      breakdown,
+      totHiveTransactions,
+      ...(historicalPrices && { totUsdAtTime }),
+      ...(perAccountBreakdown && { byAccount }),
+      ...(memoRules.length && { memoBreakdown }),
+      ...(allSenders && { perSender }),
+      ...(allSenders && includeTransactions && { perSenderEntries }),
+      ...(groupBy && { series }),
+    };
   };
 
-  analyzeOutbound = async (sender, sinceTs) => {
+  analyzeOutbound = async (sender, range, opts) => {
     const {
-      ignoredReceivers, hiveHistoryLimit, apiCallsDelay, verbose, log,
-    } = this.#cfg;
+      ignoredReceivers, hiveHistoryLimit, memoRules = [], memoFilter, includeTransactions,
+      groupBy, timezone, log,
+    } = opts;
     const ignored = ignoredReceivers;
     const perRecipient = {};
     const perRecipientTxCount = {};
+    const perRecipientAssetTxCount = {};
+    const perRecipientMemo = {};
+    const perRecipientUsdAtTime = {};
+    const perRecipientEntries = {};
+    const series = { groups: {}, total: {} };
     let more = true;
     let start = -1;
-    verbose && log.debug('[HR] [analyzeOutbound] (Hive)', { sender, sinceTs });
+    log.debug('[HR] [analyzeOutbound] (Hive)', { sender, range });
 
+    const progress = scanProgress(opts, {
+      account: sender, layer: 'hive', range, nodeOf: this.#api.nodeInUse,
+    });
     while (more) {
+      progress.next();
       const page = await this.#api.getAccountHistory(
         sender,
         start,
         hiveHistoryLimit
       );
-      if (!page.length) break;
+      if (!page.length) {
+        reportTruncatedHistory(opts, sender, start);
+        break;
+      }
 
       for (const [, entry] of page.reverse()) {
         const [opName, opData] = entry.op;
-        const ts = new Date(entry.timestamp).getTime();
-        if (ts < sinceTs) {
+        const ts = hiveTsToMs(entry.timestamp);
+        if (isBeforeRange(range, ts, entry.block)) {
           more = false;
           break;
         }
+        if (isAfterRange(range, ts, entry.block)) continue;
 
-        const outbound = opData.from === sender &&
-          opName === 'transfer' &&
-          opData.amount?.endsWith(' HIVE');
+        const transfer = parseHiveTransfer(opName, opData);
+        const outbound = transfer &&
+          transfer.from === sender &&
+          passesMemoFilter(memoFilter, transfer.memo);
 
-        const shouldIgnore = opData.from === opData.to
-          || ignored.includes(opData.to);
+        const shouldIgnore = transfer?.from === transfer?.to
+          || ignored.includes(transfer?.to);
 
         if (outbound && !shouldIgnore) {
-          const amt = parseFloat(opData.amount);
-          perRecipient[opData.to] = (perRecipient[opData.to] ?? 0) + amt;
-          perRecipientTxCount[opData.to] = (perRecipientTxCount[opData.to] ?? 0) + 1;
-          verbose && log.debug('[HR] [HIVE-OUT]', { to: opData.to, amt });
+          const { asset, amt, to } = transfer;
+          const usdAt = await this.#usdAtTime(asset, amt, ts, range, opts);
+          perRecipient[to] ??= {};
+          perRecipient[to][asset] = (perRecipient[to][asset] ?? 0) + amt;
+          perRecipientTxCount[to] = (perRecipientTxCount[to] ?? 0) + 1;
+          perRecipientAssetTxCount[to] ??= {};
+          perRecipientAssetTxCount[to][asset] = (perRecipientAssetTxCount[to][asset] ?? 0) + 1;
+          if (usdAt != null) {
+            perRecipientUsdAtTime[to] ??= {};
+            perRecipientUsdAtTime[to][asset] = (perRecipientUsdAtTime[to][asset] ?? 0) + usdAt;
+          }
+          if (includeTransactions) {
+            (perRecipientEntries[to] ??= []).push(hiveRecord(entry, ts, transfer, usdAt));
+          }
+          if (groupBy) {
+            this.#addToSeries(series, to, periodOf(ts, groupBy, timezone), asset, amt, usdAt);
+          }
+          if (memoRules.length) {
+            const label = memoLabelOf(memoRules, transfer.memo);
+            perRecipientMemo[to] ??= {};
+            perRecipientMemo[to][label] ??= {};
+            this.#addAsset(perRecipientMemo[to][label], asset, amt, usdAt);
+          }
+          log.debug('[HR] [HIVE-OUT]', { to, opName, asset, amt });
+        }
+      }
+
+      progress.page(hiveTsToMs(page[page.length - 1][1].timestamp));
+      start = page[page.length - 1][0] - 1;
+      if (start < 0) break;
+    }
+    progress.done();
+
+    return {
+      perRecipient,
+      perRecipientTxCount,
+      perRecipientAssetTxCount,
+      perRecipientMemo,
+      perRecipientUsdAtTime,
+      perRecipientEntries,
+      ...(groupBy && { series }),
+    };
+  };
+
+  /**
+   * Rewards paid by the chain itself (author, curation, benefactor, producer, HBD interest).
+   * Claims are reported separately: they move already counted rewards to the liquid balances.
+   * @param {string} username
+   * @param {{ fromTs: number, toTs: number }} range
+   * @param {number} vestsToHive - HIVE per VESTS, see hivePerVests(). The history does not record the
+   *   rate of each reward: a single one (today's) makes the HP amounts approximate
+   * @param {Object} opts - settings of the scan call
+   */
+  analyzeChainRewards = async (username, range, vestsToHive, opts) => {
+    const {
+      hiveHistoryLimit, log,
+    } = opts;
+    log.debug('[HR] [analyzeChainRewards] (Hive)', { username, range });
+    const emptyBucket = () => ({ HIVE: 0, HBD: 0, HP: 0, transactions: 0 });
+    const totals = { HIVE: 0, HBD: 0, HP: 0 };
+    const breakdown = {};
+    const claimed = emptyBucket();
+    let more = true;
+    let start = -1;
+
+    const progress = scanProgress(opts, {
+      account: username, layer: 'hive', range, nodeOf: this.#api.nodeInUse,
+    });
+    while (more) {
+      progress.next();
+      const page = await this.#api.getAccountHistory(
+        username,
+        start,
+        hiveHistoryLimit
+      );
+      if (!page.length) {
+        reportTruncatedHistory(opts, username, start);
+        break;
+      }
+
+      for (const [idx, entry] of page.reverse()) {
+        const [opName, opData] = entry.op;
+        const ts = hiveTsToMs(entry.timestamp);
+        if (isBeforeRange(range, ts, entry.block)) {
+          more = false;
+          break;
+        }
+        if (isAfterRange(range, ts, entry.block)) continue;
+        if (!CHAIN_REWARD_OPS.includes(opName)) continue;
+
+        const { account, assets } = CHAIN_REWARD_DECODERS[opName](opData);
+        if (account !== username) continue;
+
+        const isClaim = opName === 'claim_reward_balance';
+        const bucket = isClaim
+          ? claimed
+          : (breakdown[camelFromEnum(opName)] ??= emptyBucket());
+        for (const raw of assets) {
+          const { amount, symbol } = parseAsset(raw);
+          if (!amount) continue;
+          const asset = symbol === 'VESTS' ? 'HP' : symbol;
+          const amt = symbol === 'VESTS' ? amount * vestsToHive : amount;
+          bucket[asset] += amt;
+          if (!isClaim) totals[asset] += amt;
         }
+        bucket.transactions += 1;
+        log.debug('[HR] [HIVE-REWARD]', { idx, ts, opName });
       }
 
+      progress.page(hiveTsToMs(page[page.length - 1][1].timestamp));
       start = page[page.length - 1][0] - 1;
       if (start < 0) break;
-      await sleep(apiCallsDelay);
     }
+    progress.done();
+
+    return { totals, breakdown, claimed };
+  };
 
-    return { perRecipient, perRecipientTxCount };
+  /**
+   * Most recent operations of an account, newest first. Value transfers are decoded like
+   * ledger records, other operations only report their name.
+   * @param {string} username
+   * @param {number} limit
+   */
+  recentHistory = async (username, limit) => {
+    const page = await this.#api.getAccountHistory(username, -1, limit);
+    return page.reverse().slice(0, limit).map(([, entry]) => {
+      const [opName, opData] = entry.op;
+      const ts = hiveTsToMs(entry.timestamp);
+      const transfer = parseHiveTransfer(opName, opData);
+      return transfer ? hiveRecord(entry, ts, transfer) : {
+        timestamp: new Date(ts).toISOString(),
+        block: entry.block,
+        trxId: entry.trx_id,
+        op: opName,
+      };
+    });
+  };
+
+  /**
+   * Value transfers of an account newer than the given history index, oldest first, as ledger
+   * records. Pages back until that index, so a watcher catches up on whatever it missed (eg. while
+   * failing over to another node). Without an index, only the latest one is looked up.
+   * @param {string} username
+   * @param {number} [sinceIdx] - last history index already seen
+   * @returns {Promise<{ lastIdx: number, lastBlock?: number, transfers: Object[] }>}
+   */
+  transfersSince = async (username, sinceIdx) => {
+    const { hiveHistoryLimit } = this.#cfg;
+    if (sinceIdx == null) {
+      const [idx = -1, entry] = (await this.#api.getAccountHistory(username, -1, 1)).at(-1) ?? [];
+      return { lastIdx: idx, lastBlock: entry?.block, transfers: [] };
+    }
+    const transfers = [];
+    let lastIdx = sinceIdx;
+    let lastBlock;
+    let more = true;
+    let start = -1;
+
+    while (more) {
+      const page = await this.#api.getAccountHistory(username, start, hiveHistoryLimit);
+      if (!page.length) break;
+
+      for (const [idx, entry] of page.reverse()) {
+        if (idx <= sinceIdx) {
+          more = false;
+          break;
+        }
+        if (idx > lastIdx) [lastIdx, lastBlock] = [idx, entry.block];
+        const [opName, opData] = entry.op;
+        const transfer = parseHiveTransfer(opName, opData);
+        if (transfer) transfers.push(hiveRecord(entry, hiveTsToMs(entry.timestamp), transfer));
+      }
+
+      start = page[page.length - 1][0] - 1;
+      if (start < 0) break;
+    }
+    return { lastIdx, lastBlock, transfers: transfers.reverse() };
   };
 }
 
-export class TokenEarningsService {
+/**
+ * Token prices shared by every scan of an analyzer: uncached symbols are resolved in batched
+ * Hive-Engine queries, and quotes (in SWAP.HIVE) are cached for priceCacheMins.
+ */
+export class TokenPriceService {
   #heApi;
   #priceProv;
   #cfg;
+  #cache;
 
   constructor(heApi, priceProv, cfg) {
     this.#heApi = heApi;
     this.#priceProv = priceProv;
     this.#cfg = cfg;
+    this.#cache = new Map();
   }
 
-  getTokenPriceUsd = async (params) => withRetries(() => this.#heApi.getTokenPriceUsd(params));
+  #isFresh = key => Date.now() - (this.#cache.get(key)?.ts ?? -Infinity) < this.#cfg.priceCacheMins * 60000;
 
-  analyzeInbound = async (username, sinceTs) => {
+  // price the symbols missing from the cache with the tokenPricing strategy, falling back to
+  // the last price for the symbols it has no data for
+  #refresh = async (symbols, strategy) => {
+    const stale = symbols.filter(symbol => !this.#isFresh(`${strategy}:${symbol}`));
+    for (let idx = 0; idx < stale.length; idx += HE_PRICE_BATCH_SIZE) {
+      const batch = stale.slice(idx, idx + HE_PRICE_BATCH_SIZE);
+      const quotes = await withRetries(() => TOKEN_PRICE_STRATEGIES[strategy](this.#heApi, batch));
+      const unpriced = strategy === 'lastPrice' ? [] : batch.filter(symbol => !quotes[symbol].hivePrice);
+      const fallbacks = unpriced.length
+        ? await withRetries(() => TOKEN_PRICE_STRATEGIES.lastPrice(this.#heApi, unpriced))
+        : {};
+      const ts = Date.now();
+      for (const symbol of batch) {
+        const quote = fallbacks[symbol]
+          ? { ...fallbacks[symbol], source: 'lastPrice' }
+          : { ...quotes[symbol], source: strategy };
+        this.#cache.set(`${strategy}:${symbol}`, { ts, quote });
+      }
+    }
+  };
+
+  /**
+   * USD prices of several tokens, with the strategy set by tokenPricing. Pegged tokens are
+   * priced as their Hive-layer asset.
+   * @param {string[]} symbols
+   * @param {number} hiveUsd
+   * @param {{ tokenPricing: string, report: Function }} opts - settings of the calling scan
+   * @returns {Promise<Object<string, { price: number, source: string, confidence: string, liquidity?: number }>>}
+   */
+  getPricesUsd = async (symbols, hiveUsd, { tokenPricing: strategy, report }) => {
+    const unique = [...new Set(symbols)];
+    await this.#refresh(unique.filter(symbol => !PEGGED_TOKENS[symbol]), strategy);
+    const hbdUsd = unique.some(symbol => PEGGED_TOKENS[symbol] === 'HBD')
+      ? await this.#priceProv.getHbdUsd()
+      : undefined;
+    const unpriced = unique.filter(symbol => !PEGGED_TOKENS[symbol]
+      && !this.#cache.get(`${strategy}:${symbol}`).quote.hivePrice);
+    if (unpriced.length) {
+      report(new PriceUnavailableError(
+        `No price for ${unpriced.length} token(s): ${unpriced.join(', ')}`,
+        { symbols: unpriced },
+      ));
+    }
+    return bySymbol(unique, (symbol) => {
+      const pegged = PEGGED_TOKENS[symbol];
+      if (pegged) {
+        return { price: pegged === 'HBD' ? hbdUsd : hiveUsd, source: 'peg', confidence: 'high' };
+      }
+      const { hivePrice, liquidity, source } = this.#cache.get(`${strategy}:${symbol}`).quote;
+      return {
+        price: hivePrice * hiveUsd,
+        source,
+        confidence: confidenceOf(hivePrice, liquidity),
+        liquidity: +liquidity.toFixed(3),
+      };
+    });
+  };
+
+  getPriceUsd = async ({ symbol, hiveUsd }, opts) => (await this.getPricesUsd([symbol], hiveUsd, opts))[symbol];
+}
+
+export class TokenEarningsService {
+  #heApi;
+  #priceProv;
+  #cfg;
+  #histPrices;
+  #tokenPrices;
+
+  constructor(heApi, priceProv, cfg, histPrices, tokenPrices) {
+    this.#heApi = heApi;
+    this.#priceProv = priceProv;
+    this.#cfg = cfg;
+    this.#histPrices = histPrices;
+    this.#tokenPrices = tokenPrices;
+  }
+
+  // USD value of a token movement when it happened, only computed when historicalPrices is on
+  #usdAtTime = async ({ symbol, qty }, ts, range, { historicalPrices, report }) => (historicalPrices
+    ? qty * await this.#histPrices.getTokenUsdAt(symbol, ts, range, report)
+    : undefined);
+
+  getTokenPriceUsd = async (params, opts) => this.#tokenPrices.getPriceUsd(params, opts);
+
+  /**
+   * Most recent Hive-Engine history entries of an account, newest first, decoded into token /
+   * NFT movements (every operation family) where possible.
+   * @param {string} username
+   * @param {number} limit
+   */
+  recentHistory = async (username, limit) => {
+    const page = await this.#heApi.getHistory({ account: username, limit, offset: 0 });
+    return page.flatMap((tx) => {
+      const ts = tx.timestamp * 1000;
+      const nft = decodeNftMove(tx);
+      if (nft) return [nftRecord(tx, ts, nft)];
+      const moves = decodeTokenMoves(tx, TOKEN_OP_FAMILIES);
+      if (moves.length) return moves.map(mv => tokenRecord(tx, ts, mv));
+      return [{
+        timestamp: new Date(ts).toISOString(),
+        block: tx.blockNumber,
+        trxId: tx.transactionId,
+        op: tx.operation,
+        ...(tx.symbol && { symbol: tx.symbol }),
+      }];
+    });
+  };
+
+  /**
+   * Token movements of an account in sidechain blocks after the given one, oldest first, as
+   * ledger records (see HiveEarningsService.transfersSince). Without a block, only the latest
+   * one is looked up.
+   * @param {string} username
+   * @param {number} [sinceBlock] - last Hive-Engine block already seen
+   * @param {string[]} tokenOps - operation families to decode
+   * @returns {Promise<{ lastBlock: number, transfers: Object[] }>}
+   */
+  transfersSince = async (username, sinceBlock, tokenOps) => {
+    const { heHistoryLimit } = this.#cfg;
+    if (sinceBlock == null) {
+      const [latest] = await this.#heApi.getHistory({ account: username, limit: 1, offset: 0 });
+      return { lastBlock: latest?.blockNumber ?? 0, transfers: [] };
+    }
+    const transfers = [];
+    let lastBlock = sinceBlock;
+    let more = true;
+    let offset = 0;
+
+    while (more) {
+      const page = await this.#heApi.getHistory({ account: username, limit: heHistoryLimit, offset });
+      if (!page.length) break;
+
+      for (const tx of page) {
+        if (tx.blockNumber <= sinceBlock) {
+          more = false;
+          break;
+        }
+        lastBlock = Math.max(lastBlock, tx.blockNumber);
+        const ts = tx.timestamp * 1000;
+        transfers.push(...decodeTokenMoves(tx, tokenOps).map(mv => tokenRecord(tx, ts, mv)).reverse());
+      }
+
+      offset += heHistoryLimit;
+    }
+    return { lastBlock, transfers: transfers.reverse() };
+  };
+
+  /**
+   * USD value of one NFT of a collection, from its last nftmarket sale or, failing that,
+   * its floor price. The quote token is then valued like any other token.
+   */
+  getNftPriceUsd = async ({ symbol, hiveUsd }, opts) => {
+    const { price, priceSymbol, source } = await withRetries(() => this.#heApi.getNftPrice({ symbol }));
+    if (!price) {
+      opts.report(new PriceUnavailableError(`No sale or floor price for the NFT ${symbol}`, { symbols: [symbol], nft: true }));
+      return { price: 0, source };
+    }
+    const { price: quoteUsd } = await this.getTokenPriceUsd({ symbol: priceSymbol, hiveUsd }, opts);
+    return { price: price * quoteUsd, source };
+  };
+
+  /**
+   * Summarize a { [symbol]: { count, ids, transactions } } NFT bag, valuing it when nftValuation is on.
+   * @param {Object} bag
+   * @param {number} hiveUsd
+   * @param {Map<string, Object>} cache - NFT prices already fetched during this scan
+   * @param {Object} opts - settings of the scan call
+   */
+  valueNfts = async (bag, hiveUsd, cache, opts) => {
+    const breakdown = {};
+    let totUsd = 0;
+    let transactions = 0;
+    for (const [symbol, {
+      count, ids, transactions: txs, entries,
+    }] of Object.entries(bag)) {
+      breakdown[symbol] = {
+        count, ids, transactions: txs, ...(entries && { entries }),
+      };
+      transactions += txs;
+      if (!opts.nftValuation) continue;
+      if (!cache.has(symbol)) cache.set(symbol, await this.getNftPriceUsd({ symbol, hiveUsd }, opts));
+      const { price, source } = cache.get(symbol);
+      breakdown[symbol].price = +price.toFixed(8);
+      breakdown[symbol].priceSource = source;
+      breakdown[symbol].totUsd = +(price * count).toFixed(8);
+      totUsd += price * count;
+      entries?.forEach((record) => { record.usd = +(price * record.ids.length).toFixed(8); });
+    }
+    return { breakdown, totUsd: +totUsd.toFixed(8), transactions };
+  };
+
+  analyzeInbound = async (username, range, opts) => {
     const {
-      tokenSenders, heHistoryLimit, apiCallsDelay, verbose, log,
-    } = this.#cfg;
-    const senderAccounts = Object.values(tokenSenders);
-    const raw = {};
-    const counts = {};
+      tokenSenders, allSenders, perAccountBreakdown, memoRules = [], memoFilter, historicalPrices,
+      tokenOps, heHistoryLimit, includeTransactions, groupBy, timezone, log,
+    } = opts;
+    const senderAccounts = senderAccountsOf(tokenSenders);
+    const categories = newTally();
+    const perSenderTally = newTally();
+    const byAccountTally = newTally();
+    const byMemoTally = newTally();
+    const series = { groups: newTally(), total: newTally() };
+    const nftCategories = {};
+    const nftPerSender = {};
     let totTokensTransactions = 0;
     let more = true;
     let offset = 0;
-    verbose && log.debug('[HR] [analyzeInbound] (Tokens)', { username, sinceTs });
+    let previousLength = 0;
+    log.debug('[HR] [analyzeInbound] (Tokens)', { username, range, tokenOps });
 
+    const progress = scanProgress(opts, {
+      account: username, layer: 'hive-engine', range, nodeOf: this.#heApi.historyNodeInUse,
+    });
     while (more) {
+      progress.next();
       const page = await this.#heApi.getHistory({
         account: username,
         limit: heHistoryLimit,
         offset,
       });
-      if (!page.length) break;
+      if (engineHistoryEnded(opts, username, {
+        page, offset, previousLength, limit: heHistoryLimit,
+      })) break;
 
       for (const tx of page) {
         const ts = new Date(tx.timestamp * 1000).getTime();
-        if (ts < sinceTs) {
+        if (isBeforeRange(range, ts)) {
           more = false;
           break;
         }
+        if (isAfterRange(range, ts)) continue;
+        if (!passesMemoFilter(memoFilter, tx.memo)) continue;
 
-        const { operation, symbol, quantity, from, to } = tx;
-        const inbound = (
-          operation === 'tokens_transfer' ||
-          operation === 'transfer' ||
-          operation === 'tokens_stake' ||
-          operation === 'stake'
-        )
-          && to === username
-          && senderAccounts.includes(from);
+        const nft = decodeNftMove(tx);
+        if (nft && nft.to === username && nft.from !== username
+          && (allSenders || senderAccounts.includes(nft.from))) {
+          const category = categoryOf(tokenSenders, nft.from) ?? (allSenders ? OTHER_CATEGORY : undefined);
+          const record = includeTransactions && nftRecord(tx, ts, nft);
+          if (category) tallyNfts(nftCategories, [category], nft, record);
+          if (allSenders) tallyNfts(nftPerSender, [nft.from], nft, record);
+          log.debug('[HR] [NFT-IN]', { ts, op: tx.operation, symbol: nft.symbol, ids: nft.ids });
+        }
 
-        if (inbound) {
-          const category = camelFromEnum(
-            Object.entries(tokenSenders).find(([, v]) => v === from)[0]
-          );
-          raw[category] ??= {};
-          raw[category][symbol] = (raw[category][symbol] ?? 0) + parseFloat(quantity);
-          counts[category] ??= {};
-          counts[category][symbol] = (counts[category][symbol] ?? 0) + 1;
-          totTokensTransactions += 1;
-          verbose && log.debug('[HR] [TOK-IN]', { ts, symbol, quantity, category });
+        let counted = false;
+        for (const decoded of decodeTokenMoves(tx, tokenOps)) {
+          const own = ownMoveOf(decoded, username, 'inbound');
+          const mv = own?.mv ?? decoded;
+          const from = own?.counterpart ?? decoded.from;
+          const inbound = own || (decoded.to === username
+            && from !== username
+            && (allSenders || senderAccounts.includes(from)));
+          if (!inbound) continue;
+
+          const usdAt = await this.#usdAtTime(mv, ts, range, opts);
+          const record = includeTransactions && tokenRecord(tx, ts, mv, usdAt);
+          // own operations are categorized by family, they have no sender of the sender map
+          const category = own
+            ? mv.family
+            : categoryOf(tokenSenders, from) ?? (allSenders ? OTHER_CATEGORY : undefined);
+          if (category) {
+            tally(categories, [category], mv, usdAt, record);
+            if (perAccountBreakdown) {
+              tally(byAccountTally, [category, from], mv, usdAt, record);
+            }
+            if (memoRules.length) {
+              tally(byMemoTally, [category, memoLabelOf(memoRules, tx.memo)], mv, usdAt, record);
+            }
+          }
+          if (allSenders) {
+            tally(perSenderTally, [from], mv, usdAt, record);
+          }
+          const seriesKey = allSenders ? from : category;
+          if (groupBy && seriesKey) {
+            tallySeries(series, seriesKey, periodOf(ts, groupBy, timezone), mv, usdAt);
+          }
+          if (!counted) totTokensTransactions += 1;
+          counted = true;
+          log.debug('[HR] [TOK-IN]', {
+            ts, op: tx.operation, symbol: mv.symbol, qty: mv.qty, category,
+          });
         }
       }
 
+      progress.page(page[page.length - 1].timestamp * 1000);
+      previousLength = page.length;
       offset += heHistoryLimit;
-      await sleep(apiCallsDelay);
     }
+    progress.done();
 
-    this.#cfg.verbose && this.#cfg.log.debug('[HR] [inbounds] fetching prices...');
+    log.debug('[HR] [inbounds] fetching prices...');
     const hiveUsd = await this.#priceProv.getHiveUsd();
 
-    const breakdown = {};
-    let totUsd = 0;
-    const cache = new Map();
-    const priceFor = async (sym) => {
-      if (cache.has(sym)) return cache.get(sym);
-      const { price } = await this.getTokenPriceUsd({ symbol: sym, hiveUsd });
-      cache.set(sym, price);
-      return price;
-    };
+    // byAccount / memoBreakdown only hold subsets of the categories' symbols
+    const prices = await this.#tokenPrices.getPricesUsd(
+      [categories.raw, perSenderTally.raw].flatMap(groups => Object.values(groups).flatMap(Object.keys)),
+      hiveUsd,
+      opts,
+    );
 
-    for (const [category, tks] of Object.entries(raw)) {
-      breakdown[category] = {};
-      for (const [symbol, amt] of Object.entries(tks)) {
-        const price = await priceFor(symbol);
-        const totUsdSym = amt * price;
-        breakdown[category][symbol] = {
-          amount: +amt.toFixed(2),
-          price: +price.toFixed(8),
-          totUsd: +totUsdSym.toFixed(8),
-          transactions: counts[category][symbol] ?? 0,
-        };
-        totUsd += totUsdSym;
+    // values { [group]: { [symbol]: amount } } maps into per-symbol breakdowns
+    const valueGroups = async ({
+      raw, counts, ops, usdAt, entries,
+    }) => {
+      const groups = {};
+      let groupsUsd = 0;
+      let groupsUsdAtTime = 0;
+      for (const [group, tks] of Object.entries(raw)) {
+        groups[group] = {};
+        for (const [symbol, amt] of Object.entries(tks)) {
+          const {
+            price, source, confidence, liquidity,
+          } = prices[symbol];
+          const totUsdSym = amt * price;
+          const usdAtTime = usdAt[group]?.[symbol];
+          const records = entries[group]?.[symbol];
+          records?.forEach((record) => { record.usd = +(record.amount * price).toFixed(8); });
+          groups[group][symbol] = {
+            amount: +amt.toFixed(2),
+            price: +price.toFixed(8),
+            priceSource: source,
+            confidence,
+            ...(liquidity != null && { liquidityHive: liquidity }),
+            totUsd: +totUsdSym.toFixed(8),
+            ...(usdAtTime != null && { totUsdAtTime: +usdAtTime.toFixed(8) }),
+            transactions: counts[group][symbol] ?? 0,
+            operations: roundOps(ops[group][symbol]),
+            ...(records && { entries: records }),
+          };
+          groupsUsd += totUsdSym;
+          groupsUsdAtTime += usdAtTime ?? 0;
+        }
+      }
+      return { groups, groupsUsd, groupsUsdAtTime };
+    };
+    // same, one level deeper: { [category]: { [group]: { [symbol]: amount } } }
+    const valueNestedGroups = async ({
+      raw, counts, ops, usdAt, entries,
+    }) => {
+      const nested = {};
+      for (const category of Object.keys(raw)) {
+        ({ groups: nested[category] } = await valueGroups({
+          raw: raw[category],
+          counts: counts[category],
+          ops: ops[category],
+          usdAt: usdAt[category] ?? {},
+          entries: entries[category] ?? {},
+        }));
       }
+      return nested;
+    };
+
+    const {
+      groups: breakdown, groupsUsd: categoriesUsd, groupsUsdAtTime: categoriesUsdAtTime,
+    } = await valueGroups(categories);
+    const { groups: perSender } = await valueGroups(perSenderTally);
+    const byAccount = await valueNestedGroups(byAccountTally);
+    const memoBreakdown = await valueNestedGroups(byMemoTally);
+
+    const nftCache = new Map();
+    const nfts = { breakdown: {}, totUsd: 0, transactions: 0 };
+    for (const [category, bag] of Object.entries(nftCategories)) {
+      const valued = await this.valueNfts(bag, hiveUsd, nftCache, opts);
+      nfts.breakdown[category] = valued.breakdown;
+      nfts.totUsd += valued.totUsd;
+      nfts.transactions += valued.transactions;
+    }
+    const perSenderNfts = {};
+    for (const [from, bag] of Object.entries(nftPerSender)) {
+      perSenderNfts[from] = await this.valueNfts(bag, hiveUsd, nftCache, opts);
     }
+    nfts.totUsd = +nfts.totUsd.toFixed(8);
 
     return {
       breakdown,
-      totUsd: +totUsd.toFixed(8),
+      nfts,
+      totUsd: +(categoriesUsd + nfts.totUsd).toFixed(8),
+      // NFTs have no price history: they are only valued at current prices
+      ...(historicalPrices && { totUsdAtTime: +categoriesUsdAtTime.toFixed(8) }),
       transactions: totTokensTransactions,
+      ...(perAccountBreakdown && { byAccount }),
+      ...(memoRules.length && { memoBreakdown }),
+      ...(allSenders && { perSender, perSenderNfts }),
+      ...(groupBy && { series }),
     };
   };
 
-  analyzeOutbound = async (sender, sinceTs) => {
+  analyzeOutbound = async (sender, range, opts) => {
     const {
-      ignoredReceivers, heHistoryLimit, apiCallsDelay, verbose, log,
-    } = this.#cfg;
+      ignoredReceivers, heHistoryLimit, memoRules = [], memoFilter, tokenOps,
+      includeTransactions, groupBy, timezone, log,
+    } = opts;
     const ignored = ignoredReceivers;
-    const perRecipient = {};
+    const recipients = newTally();
+    const memos = newTally();
+    const series = { groups: newTally(), total: newTally() };
     const perRecipientTxCount = {};
-    const perRecipientSymbolTxCount = {};
+    const perRecipientNfts = {};
     let more = true;
     let offset = 0;
-    verbose && log.debug('[HR] [analyzeOutbound] (Tokens)', { sender, sinceTs });
+    let previousLength = 0;
+    log.debug('[HR] [analyzeOutbound] (Tokens)', { sender, range, tokenOps });
 
+    const progress = scanProgress(opts, {
+      account: sender, layer: 'hive-engine', range, nodeOf: this.#heApi.historyNodeInUse,
+    });
     while (more) {
+      progress.next();
       const page = await this.#heApi.getHistory({
         account: sender,
         limit: heHistoryLimit,
         offset,
       });
-      if (!page.length) break;
+      if (engineHistoryEnded(opts, sender, {
+        page, offset, previousLength, limit: heHistoryLimit,
+      })) break;
 
       for (const tx of page) {
         const ts = new Date(tx.timestamp * 1000).getTime();
-        if (ts < sinceTs) {
+        if (isBeforeRange(range, ts)) {
           more = false;
           break;
         }
+        if (isAfterRange(range, ts)) continue;
+        if (!passesMemoFilter(memoFilter, tx.memo)) continue;
+
+        const nft = decodeNftMove(tx);
+        if (nft && nft.from === sender && nft.to !== sender && !ignored.includes(nft.to)) {
+          tallyNfts(perRecipientNfts, [nft.to], nft, includeTransactions && nftRecord(tx, ts, nft));
+          log.debug('[HR] [NFT-OUT]', { to: nft.to, op: tx.operation, symbol: nft.symbol, ids: nft.ids });
+        }
 
-        const { operation, symbol, quantity, from, to } = tx;
-        const outbound = (
-          operation === 'tokens_transfer' ||
-          operation === 'transfer' ||
-          operation === 'tokens_stake' ||
-          operation === 'stake'
-        )
-          && from === sender;
-        const shouldIgnore = from === to || ignored.includes(to);
+        const counted = new Set();
+        for (const decoded of decodeTokenMoves(tx, tokenOps)) {
+          const own = ownMoveOf(decoded, sender, 'outbound');
+          const mv = own?.mv ?? decoded;
+          const to = own?.counterpart ?? decoded.to;
+          const outbound = own || decoded.from === sender;
+          const shouldIgnore = decoded.from === decoded.to || ignored.includes(to);
+          if (!outbound || shouldIgnore) continue;
 
-        if (outbound && !shouldIgnore) {
-          perRecipient[to] ??= {};
-          perRecipient[to][symbol] = (perRecipient[to][symbol] ?? 0) + parseFloat(quantity);
-          perRecipientTxCount[to] = (perRecipientTxCount[to] ?? 0) + 1;
-          perRecipientSymbolTxCount[to] ??= {};
-          perRecipientSymbolTxCount[to][symbol] = (perRecipientSymbolTxCount[to][symbol] ?? 0) + 1;
-          verbose && log.debug('[HR] [TOK-OUT]', { to, sym: symbol, qty: quantity });
+          const usdAt = await this.#usdAtTime(mv, ts, range, opts);
+          tally(recipients, [to], mv, usdAt, includeTransactions && tokenRecord(tx, ts, mv, usdAt));
+          if (groupBy) tallySeries(series, to, periodOf(ts, groupBy, timezone), mv, usdAt);
+          if (!counted.has(to)) perRecipientTxCount[to] = (perRecipientTxCount[to] ?? 0) + 1;
+          counted.add(to);
+          if (memoRules.length) {
+            tally(memos, [to, memoLabelOf(memoRules, tx.memo)], mv, usdAt);
+          }
+          log.debug('[HR] [TOK-OUT]', {
+            to, op: tx.operation, sym: mv.symbol, qty: mv.qty,
+          });
         }
       }
 
+      progress.page(page[page.length - 1].timestamp * 1000);
+      previousLength = page.length;
       offset += heHistoryLimit;
-      await sleep(apiCallsDelay);
     }
+    progress.done();
 
-    return { perRecipient, perRecipientTxCount, perRecipientSymbolTxCount };
+    return {
+      perRecipient: recipients.raw,
+      perRecipientTxCount,
+      perRecipientSymbolTxCount: recipients.counts,
+      perRecipientOps: recipients.ops,
+      perRecipientUsdAtTime: recipients.usdAt,
+      perRecipientEntries: recipients.entries,
+      perRecipientMemo: memos.raw,
+      perRecipientMemoTxCount: memos.counts,
+      perRecipientMemoUsdAtTime: memos.usdAt,
+      perRecipientNfts,
+      ...(groupBy && { series }),
+    };
   };
 }
@@ -1,106 +1,657 @@
-import { HiveApi, HivePriceProvider, HiveEngineApi } from '../apis/apis.js';
-import { HiveEarningsService, TokenEarningsService } from './analyzers.js';
+import {
+  HiveApi, HivePriceProvider, HiveEngineApi, HistoricalPriceProvider, HistoryCache,
+} from '../apis/apis.js';
+import {
+  HiveEarningsService, TokenEarningsService, TokenPriceService, categoryOf, hivePerVests, memoLabelOf, roundOps,
+} from './analyzers.js';
+import { TransferWatcher } from './watcher.js';
+import { DEFAULT_WATCH_INTERVAL_MS } from '../config/config.js';
+import {
+  InvalidAccountError, PriceUnavailableError, errorOf, issuesOf,
+} from '../utils/errors.js';
+import { hiveTsToMs, mapConcurrent, toTimestamp } from '../utils/utils.js';
+import {
+  validateConcurrency, validateCurrency, validateGroupBy, validateMemoRules, validateSenders, validateTokenOps,
+  validateTokenPricing,
+} from '../utils/validateParams.js';
 
 /* -------------------------------------------------------------------------- */
 /* Orchestrator                                                               */
 /* -------------------------------------------------------------------------- */
+
+const rangeInfo = ({ fromTs, toTs, fromBlock, toBlock }) => ({
+  from: new Date(fromTs).toISOString(),
+  to: new Date(toTs).toISOString(),
+  ...(fromBlock != null && { fromBlock }),
+  ...(toBlock != null && { toBlock }),
+});
+
+/**
+ * errors / warnings sections of a result, left out when empty: the accounts that failed and
+ * the degradations reported during the scans (see issuesOf), once each.
+ * @param {Object} accounts - per account results, failures being { error, code? }
+ * @param {Object[]} [warnings]
+ */
+const issuesSectionOf = (accounts, warnings = []) => {
+  const errors = Object.fromEntries(Object.entries(accounts).filter(([, data]) => data.error));
+  const unique = [...new Map(warnings.map(warning => [JSON.stringify(warning), warning])).values()];
+  return {
+    ...(Object.keys(errors).length && { errors }),
+    ...(unique.length && { warnings: unique }),
+  };
+};
+
+/**
+ * Value Hive-layer assets (HP is valued via HIVE). Assets carrying their USD value at the time
+ * of the transfers (historicalPrices) also get a totUsdAtTime next to the current totUsd.
+ * @param {Object<string, { amount: number, transactions: number, usdAtTime?: number }>} assets
+ * @param {{ HIVE: number, HBD: number, HP: number }} prices
+ */
+const valueHiveAssets = (assets, prices) => {
+  let totUsd = 0;
+  let totUsdAtTime;
+  const valued = {};
+  for (const [asset, { amount, transactions, usdAtTime }] of Object.entries(assets)) {
+    const usd = amount * prices[asset];
+    totUsd += usd;
+    valued[asset] = { amount: +amount.toFixed(3), usd: +usd.toFixed(2), transactions };
+    if (usdAtTime != null) {
+      valued[asset].usdAtTime = +usdAtTime.toFixed(2);
+      totUsdAtTime = (totUsdAtTime ?? 0) + usdAtTime;
+    }
+  }
+  return {
+    assets: valued,
+    totUsd: +totUsd.toFixed(2),
+    ...(totUsdAtTime != null && { totUsdAtTime: +totUsdAtTime.toFixed(2) }),
+  };
+};
+
+/**
+ * Value the per period amounts of a group (groupBy) into a time series sorted by period.
+ * Periods without transfers are omitted.
+ * @param {Object} [hivePeriods] - { [period]: { [asset]: { amount, transactions, usdAtTime? } } }
+ * @param {{ raw?: Object, counts?: Object, usdAt?: Object }} tokenPeriods - { [period]: { [symbol]: n } } tallies
+ * @param {{ HIVE: number, HBD: number, HP: number }} prices
+ * @param {Object<string, { price: number }>} tokenPrices
+ * @param {Function} report - issues reporter of the call: symbols without a price are valued 0
+ */
+const seriesOf = (hivePeriods = {}, { raw = {}, counts = {}, usdAt = {} }, prices, tokenPrices, report) => {
+  const periods = [...new Set([...Object.keys(hivePeriods), ...Object.keys(raw)])].sort();
+  return periods.map((period) => {
+    const hive = valueHiveAssets(hivePeriods[period] ?? {}, prices);
+    const tokens = {};
+    let tokensUsd = 0;
+    let tokensUsdAtTime;
+    for (const [symbol, amt] of Object.entries(raw[period] ?? {})) {
+      const price = tokenPrices[symbol]?.price;
+      if (price == null) {
+        report(new PriceUnavailableError(`No price for ${symbol} in the time series`, { symbols: [symbol] }));
+      }
+      const usd = amt * (price ?? 0);
+      const usdAtTime = usdAt[period]?.[symbol];
+      tokens[symbol] = {
+        amount: +amt.toFixed(2),
+        usd: +usd.toFixed(8),
+        ...(usdAtTime != null && { usdAtTime: +usdAtTime.toFixed(8) }),
+        transactions: counts[period][symbol],
+      };
+      tokensUsd += usd;
+      if (usdAtTime != null) tokensUsdAtTime = (tokensUsdAtTime ?? 0) + usdAtTime;
+    }
+    const atTime = [hive.totUsdAtTime, tokensUsdAtTime].filter(val => val != null);
+    return {
+      period,
+      hive: hive.assets,
+      tokens,
+      totUsd: +(hive.totUsd + tokensUsd).toFixed(2),
+      ...(atTime.length && { totUsdAtTime: +atTime.reduce((aa, bb) => aa + bb).toFixed(2) }),
+    };
+  });
+};
+
+// ledger records (includeTransactions) get the current USD value of their transfer
+const valueHiveEntries = (entries = [], prices) => entries.forEach((record) => {
+  record.usd = +(record.amount * prices[record.asset]).toFixed(4);
+});
+
+/**
+ * Flatten the ledger records attached to an inbounds/outbounds result (valued in USD), tagging
+ * each one with the analyzed account, its layer, for inbounds the category of its bucket and,
+ * with memo rules, its memo label. Values are converted into the `value` / `currency` columns.
+ * @param {Object} accounts - out.recipients (inbound) or out.senders (outbound)
+ * @param {'inbound'|'outbound'} direction
+ * @param {{ currency: string, rate: number, memoRules: Object[] }} params
+ */
+const ledgerOf = (accounts, direction, { currency, rate, memoRules }) => {
+  const records = [];
+  const add = (account, layer, category, entries = []) => entries.forEach(({ usd, ...record }) => {
+    records.push({
+      account,
+      layer,
+      ...(category && { category }),
+      ...(memoRules.length && { label: memoLabelOf(memoRules, record.memo) }),
+      ...record,
+      ...(usd != null && { value: +(usd * rate).toFixed(8) }),
+      currency,
+    });
+  });
+  const addTokens = (account, category, { breakdown = {}, nfts } = {}) => {
+    Object.values(breakdown).forEach(({ entries }) => add(account, 'tokens', category, entries));
+    Object.values(nfts?.breakdown ?? {}).forEach(({ entries }) => add(account, 'nfts', category, entries));
+  };
+
+  for (const [account, data] of Object.entries(accounts)) {
+    if (data.error) continue;
+    if (direction === 'outbound') {
+      for (const { hive, tokens } of Object.values(data.recipients)) {
+        add(account, 'hive', undefined, hive.entries);
+        addTokens(account, undefined, tokens);
+      }
+    } else if (data.bySender) {
+      // wildcard scans: per sender buckets, categories would count the same transfers twice
+      for (const { category, hive, tokens } of Object.values(data.bySender)) {
+        add(account, 'hive', category, hive.entries);
+        addTokens(account, category, tokens);
+      }
+    } else {
+      for (const [category, bucket] of Object.entries(data.hive.breakdown)) {
+        add(account, 'hive', category, bucket.entries);
+      }
+      for (const [category, symbols] of Object.entries(data.tokens.breakdown)) {
+        Object.values(symbols).forEach(({ entries }) => add(account, 'tokens', category, entries));
+      }
+      for (const [category, symbols] of Object.entries(data.tokens.nfts.breakdown)) {
+        Object.values(symbols).forEach(({ entries }) => add(account, 'nfts', category, entries));
+      }
+    }
+  }
+  // Hive and Hive-Engine block numbers are two different chains: only the time orders them
+  return records.sort((aa, bb) => aa.timestamp.localeCompare(bb.timestamp));
+};
+
+/**
+ * { [symbol]: { amount, usd } } of a bucket: its Hive assets, tokens and NFTs (counted per item).
+ * @param {{ assets?: Object }} [hive]
+ * @param {Object} [tokens] - per symbol token breakdown
+ * @param {Object} [nfts] - per symbol NFT breakdown
+ */
+const symbolsOf = ({ assets = {} } = {}, tokens = {}, nfts = {}) => ({
+  ...Object.fromEntries(Object.entries(assets).map(([asset, { amount, usd }]) => [asset, { amount, usd }])),
+  ...Object.fromEntries(Object.entries(tokens).map(([symbol, { amount, totUsd, usd }]) => [
+    symbol,
+    { amount, usd: totUsd ?? usd },
+  ])),
+  ...Object.fromEntries(Object.entries(nfts).map(([symbol, { count, totUsd = 0 }]) => [
+    symbol,
+    { amount: count, usd: totUsd },
+  ])),
+});
+
+/**
+ * Per group symbols of an inbounds / outbounds account result, compared by compare():
+ * categories (or senders, when scanning every sender) for inbounds, recipients for outbounds.
+ * @returns {{ name: string, groups: Object<string, Object> }}
+ */
+const compareGroupsOf = (data, direction) => {
+  let name = 'recipients';
+  let groups = {};
+  if (direction === 'outbound') {
+    groups = Object.fromEntries(Object.entries(data.recipients).map(([user, { hive, tokens }]) => [
+      user,
+      symbolsOf(hive, tokens.breakdown, tokens.nfts?.breakdown),
+    ]));
+  } else if (data.bySender) {
+    name = 'senders';
+    groups = Object.fromEntries(Object.entries(data.bySender).map(([sender, { hive, tokens }]) => [
+      sender,
+      symbolsOf(hive, tokens.breakdown, tokens.nfts.breakdown),
+    ]));
+  } else {
+    name = 'categories';
+    const { hive, tokens } = data;
+    groups = Object.fromEntries(Object.keys(hive.breakdown).map(category => [
+      category,
+      symbolsOf(hive.breakdown[category], tokens.breakdown[category], tokens.nfts.breakdown[category]),
+    ]));
+  }
+  // groups without transfers (eg. idle categories) are missing rather than empty
+  return {
+    name,
+    groups: Object.fromEntries(Object.entries(groups).filter(([, symbols]) => Object.keys(symbols).length)),
+  };
+};
+
+const pctOf = (val, baselineVal) => (
+  baselineVal ? +(((val - baselineVal) / baselineVal) * 100).toFixed(2) : null
+);
+
+const usdChange = (usd, baselineUsd) => ({
+  usd: +usd.toFixed(2),
+  baselineUsd: +baselineUsd.toFixed(2),
+  deltaUsd: +(usd - baselineUsd).toFixed(2),
+  deltaPct: pctOf(usd, baselineUsd),
+});
+
+/**
+ * Compare two { [key]: value } maps key by key, flagging the keys found in a single window.
+ * @param {Object} current
+ * @param {Object} baseline
+ * @param {(cur?: *, base?: *) => Object} compareFn
+ */
+const compareKeys = (current, baseline, compareFn) => Object.fromEntries(
+  [...new Set([...Object.keys(current), ...Object.keys(baseline)])].map(key => [key, {
+    ...compareFn(current[key], baseline[key]),
+    ...(!(key in baseline) && { new: true }),
+    ...(!(key in current) && { disappeared: true }),
+  }])
+);
+
+const usdOf = symbols => Object.values(symbols).reduce((sum, { usd }) => sum + usd, 0);
+
+const compareSymbols = (cur = {}, base = {}) => ({
+  ...usdChange(usdOf(cur), usdOf(base)),
+  symbols: compareKeys(cur, base, (
+    { amount = 0, usd = 0 } = {},
+    { amount: baselineAmount = 0, usd: baselineUsd = 0 } = {},
+  ) => ({
+    amount,
+    baselineAmount,
+    deltaAmount: +(amount - baselineAmount).toFixed(8),
+    ...usdChange(usd, baselineUsd),
+  })),
+});
+
+// tag the progress events of the services with the scan they belong to
+const progressOf = (scan, onProgress) => onProgress && (progress => onProgress({ scan, ...progress }));
+
+const currenciesOf = currency => [currency].flat().map(cur => cur.toLowerCase());
+
+/**
+ * Fiat fields of the results, with the decimals they are rounded to once converted. Values at the
+ * time of the transfers (usdAtTime, totUsdAtTime, totUsdSent*AtTime) are left out: they stay in
+ * USD, the price history has no other currency.
+ */
+const FIAT_FIELDS = {
+  price: 8,
+  usd: 8,
+  totUsd: 8,
+  hiveUsd: 4,
+  hbdUsd: 4,
+  baselineUsd: 2,
+  deltaUsd: 2,
+  totUsdSentInHive: 2,
+  totUsdSentInTokens: 2,
+  totUsdSentInNfts: 2,
+};
+
+const fiatKey = (key, cur) => {
+  if (cur === 'usd') return key;
+  const Cur = cur[0].toUpperCase() + cur.slice(1);
+  if (key === 'price') return `price${Cur}`;
+  return key === 'usd' ? cur : key.replace('Usd', Cur);
+};
+
+/**
+ * Convert the fiat fields of a result (FIAT_FIELDS) into the requested currencies, named after
+ * them (eg. totUsd → totEur, usd → eur, price → priceEur). USD fields are kept only if requested.
+ * @param {*} node - result (sub)tree
+ * @param {Object<string, number>} rates - USD → currency rates, eg. { usd: 1, eur: 0.92 }
+ */
+export const toCurrencies = (node, rates) => {
+  if (Array.isArray(node)) return node.map(item => toCurrencies(item, rates));
+  if (!node || typeof node !== 'object') return node;
+  const out = {};
+  for (const [key, val] of Object.entries(node)) {
+    if (typeof val === 'number' && Object.hasOwn(FIAT_FIELDS, key)) {
+      for (const [cur, rate] of Object.entries(rates)) {
+        out[fiatKey(key, cur)] = +(val * rate).toFixed(FIAT_FIELDS[key]);
+      }
+    } else {
+      out[key] = toCurrencies(val, rates);
+    }
+  }
+  return out;
+};
+
 export class EarningsAnalyzer {
+  #hiveApi;
+  #heApi;
+  #history;
+  #histPrices;
   #hiveSvc;
   #tokSvc;
   #priceProv;
+  #tokenPrices;
+  #issues;
   #cfg;
 
   constructor(cfg) {
     this.#cfg = cfg;
-    const hiveApi = new HiveApi(cfg);
-    this.#hiveSvc = new HiveEarningsService(hiveApi, cfg);
-    this.#priceProv = new HivePriceProvider(cfg);
-    const heApi = new HiveEngineApi(cfg);
-    this.#tokSvc = new TokenEarningsService(heApi, this.#priceProv, cfg);
+    this.#hiveApi = new HiveApi(cfg);
+    this.#heApi = new HiveEngineApi(cfg);
+    this.#priceProv = new HivePriceProvider(cfg, { hiveApi: this.#hiveApi, heApi: this.#heApi });
+    this.#histPrices = new HistoricalPriceProvider(cfg, this.#heApi);
+    // every scan reads the account histories through the same cache
+    this.#history = new HistoryCache(this.#hiveApi, this.#heApi, cfg.historyCacheSize);
+    this.#hiveSvc = new HiveEarningsService(this.#history.hiveApi, cfg, this.#histPrices);
+    this.#tokenPrices = new TokenPriceService(this.#heApi, this.#priceProv, cfg);
+    this.#tokSvc = new TokenEarningsService(
+      this.#history.heApi,
+      this.#priceProv,
+      cfg,
+      this.#histPrices,
+      this.#tokenPrices,
+    );
+    // degradations outside of a scan call (eg. while watching) are logged once per analyzer
+    this.#issues = issuesOf(cfg);
   }
 
-  #sinceTs = () => Date.now() - this.#cfg.hours * 3600000;
+  /**
+   * Settings of one API call, passed down to the services: the analyzer config overridden by the
+   * call's params. Each call gets its own object, concurrent calls never see each other's params.
+   */
+  #optsOf = (overrides = {}) => ({ ...this.#cfg, report: this.#issues.report, ...overrides });
 
-  analyzeAccountInbounds = async (account) => {
-    try {
-      const err = this.#cfg.hiveUtils.validateAccountName(account);
-      if (err) throw new Error(`Invalid Hive username “${account}”: ${err}`);
-    } catch (err) {
-      console.error(`Failed to validate account name: ${account}`);
-    }
-    const since = this.#sinceTs();
+  #validateAccount = (account) => {
+    const reason = this.#cfg.hiveUtils.validateAccountName(account);
+    if (reason) throw new InvalidAccountError(`Invalid Hive username “${account}”: ${reason}`, { account });
+  };
+
+  // USD price per Hive-layer asset, plus the provider they came from
+  #hiveAssetPrices = async () => {
+    const { hiveUsd, hbdUsd, source } = await this.#priceProv.getQuote();
+    return {
+      HIVE: hiveUsd, HBD: hbdUsd, HP: hiveUsd, source,
+    };
+  };
+
+  /**
+   * USD → currency rates for the requested output currencies, null when only USD is requested.
+   * Fetched before scanning so that an unsupported currency fails fast.
+   */
+  #fxRates = async (currency) => {
+    validateCurrency(currency);
+    const currencies = currenciesOf(currency);
+    if (currencies.length === 1 && currencies[0] === 'usd') return null;
+    const rates = {
+      usd: 1,
+      ...await this.#priceProv.getFxRates(currencies.filter(cur => cur !== 'usd')),
+    };
+    return Object.fromEntries(currencies.map(cur => [cur, rates[cur]]));
+  };
 
-    this.#cfg.verbose && this.#cfg.log.debug(
-      `[HR] [analyzeAccountInbounds] starting ${account}'s scans...`
+  /**
+   * Time series (groupBy) of a scan: the overall one, plus one per group of its results.
+   * @param {{ groups: Object, total: Object }} hiveSeries - per period Hive assets
+   * @param {{ groups: Object, total: Object }} tokenSeries - per period token tallies
+   * @param {{ HIVE: number, HBD: number, HP: number }} prices
+   * @param {string} groupsName - eg. byCategory, bySender, byRecipient
+   * @param {Object} opts - settings of the call, see #optsOf
+   */
+  #timeSeries = async (hiveSeries, tokenSeries, prices, groupsName, opts) => {
+    const { groupBy, timezone } = opts;
+    const tokenPrices = await this.#tokenPrices.getPricesUsd(
+      Object.values(tokenSeries.total.raw).flatMap(Object.keys),
+      prices.HIVE,
+      opts,
     );
-    const ts = setInterval(() => process.stdout.write('.'), 3000);
+    const { raw, counts, usdAt } = tokenSeries.groups;
+    const groups = new Set([...Object.keys(hiveSeries.groups), ...Object.keys(raw)]);
+    return {
+      groupBy,
+      timezone,
+      total: seriesOf(hiveSeries.total, tokenSeries.total, prices, tokenPrices, opts.report),
+      [groupsName]: Object.fromEntries([...groups].map(key => [
+        key,
+        seriesOf(
+          hiveSeries.groups[key],
+          { raw: raw[key], counts: counts[key], usdAt: usdAt[key] },
+          prices,
+          tokenPrices,
+          opts.report,
+        ),
+      ])),
+    };
+  };
+
+  #blockTs = async (blockNum) => {
+    const header = await this.#hiveApi.getBlockHeader(blockNum);
+    if (!header?.timestamp) throw new Error(`Hive block ${blockNum} not found`);
+    return hiveTsToMs(header.timestamp);
+  };
+
+  /**
+   * Resolve the scan range. Relative windows (hours/days) count back from the upper bound,
+   * which defaults to now. Absolute bounds accept ISO dates / ms timestamps or Hive block numbers.
+   * @returns {Promise<{ fromTs: number, toTs: number, fromBlock?: number, toBlock?: number }>}
+   */
+  #resolveRange = async ({
+    hours, days, from, to, fromBlock, toBlock,
+  } = {}) => {
+    if (days && hours) {
+      throw new Error('Please provide either hours or days, not both');
+    }
+    if ((hours != null || days != null) && (from != null || fromBlock != null)) {
+      throw new Error('Please provide either hours/days or a start bound (from/fromBlock), not both');
+    }
+    if (from != null && fromBlock != null) {
+      throw new Error('Please provide either from or fromBlock, not both');
+    }
+    if (to != null && toBlock != null) {
+      throw new Error('Please provide either to or toBlock, not both');
+    }
+    for (const [name, val] of Object.entries({ fromBlock, toBlock })) {
+      if (val != null && (!Number.isInteger(val) || val <= 0)) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+    }
+
+    let toTs = Date.now();
+    if (to != null) toTs = toTimestamp(to, 'to');
+    else if (toBlock != null) toTs = await this.#blockTs(toBlock);
+
+    const spanHours = hours ?? (days != null ? days * 24 : this.#cfg.hours);
+    let fromTs = toTs - spanHours * 3600000;
+    if (from != null) fromTs = toTimestamp(from, 'from');
+    else if (fromBlock != null) fromTs = await this.#blockTs(fromBlock);
+
+    if (fromTs >= toTs) {
+      throw new Error('The start of the scan range must precede its end');
+    }
+    return { fromTs, toTs, fromBlock, toBlock };
+  };
+
+  /**
+   * Inbound scan of one receiver, see inbounds().
+   * @param {string} account
+   * @param {{ fromTs: number, toTs: number }} [range] - defaults to the last cfg.hours
+   * @param {Object} [opts] - settings of the call (senders, memo rules, ...), see #optsOf
+   */
+  analyzeAccountInbounds = async (account, range, opts = this.#optsOf()) => {
+    this.#validateAccount(account);
+    const scanRange = range ?? await this.#resolveRange();
+
+    this.#cfg.log.debug('[HR] [analyzeAccountInbounds] starting scans', { account });
     const start = Date.now();
 
-    const [hiveResult, tokensResult, hiveUsd] = await Promise.all([
-      this.#hiveSvc.analyzeInbound(account, since),
-      this.#tokSvc.analyzeInbound(account, since),
-      this.#priceProv.getHiveUsd(),
+    const [hiveResult, tokensResult, prices] = await Promise.all([
+      this.#hiveSvc.analyzeInbound(account, scanRange, opts),
+      this.#tokSvc.analyzeInbound(account, scanRange, opts),
+      this.#hiveAssetPrices(),
     ]);
 
-    clearInterval(ts);
     const durationMinutes = ((Date.now() - start) / 60000).toFixed(2);
-    console.log(
-      `\n[HR] [analyzeAccountInbounds] ${account}'s scans completed in ${durationMinutes} mins`
+    this.#cfg.log.info('[HR] [analyzeAccountInbounds] scans completed', { account, durationMinutes: +durationMinutes });
+
+    const valueBuckets = buckets => Object.fromEntries(
+      Object.entries(buckets).map(([key, bucket]) => {
+        valueHiveEntries(bucket.entries, prices);
+        return [key, { ...bucket, ...valueHiveAssets(bucket.assets, prices) }];
+      })
     );
+    const breakdown = valueBuckets(hiveResult.breakdown);
+    const totUsd = hiveResult.totHiveSent * prices.HIVE
+      + hiveResult.totHbdSent * prices.HBD
+      + hiveResult.totHpSent * prices.HP;
+
+    const {
+      perSender: hivePerSender, perSenderEntries: hiveEntriesPerSender, series: hiveSeries, ...hive
+    } = hiveResult;
+    const {
+      perSender: tokensPerSender, perSenderNfts, series: tokenSeries, ...tokens
+    } = tokensResult;
+
+    for (const nested of ['byAccount', 'memoBreakdown']) {
+      if (!hive[nested]) continue;
+      hive[nested] = Object.fromEntries(
+        Object.entries(hive[nested]).map(([category, buckets]) => [category, valueBuckets(buckets)])
+      );
+    }
 
     return {
       hive: {
-        ...hiveResult,
-        hiveUsd: +hiveUsd.toFixed(4),
-        totUsd: +(hiveResult.totHiveSent * hiveUsd).toFixed(2),
+        ...hive,
+        breakdown,
+        hiveUsd: +prices.HIVE.toFixed(4),
+        hbdUsd: +prices.HBD.toFixed(4),
+        priceSource: prices.source,
+        totUsd: +totUsd.toFixed(2),
+        ...(hive.totUsdAtTime != null && { totUsdAtTime: +hive.totUsdAtTime.toFixed(2) }),
       },
-      tokens: tokensResult,
+      tokens,
+      ...(opts.allSenders && {
+        bySender: this.#groupBySender(
+          hivePerSender,
+          tokensPerSender,
+          perSenderNfts,
+          prices,
+          hiveEntriesPerSender,
+          opts,
+        ),
+      }),
+      ...(opts.groupBy && {
+        timeSeries: await this.#timeSeries(
+          hiveSeries,
+          tokenSeries,
+          prices,
+          opts.allSenders ? 'bySender' : 'byCategory',
+          opts,
+        ),
+      }),
     };
   };
 
+  /**
+   * Merge the Hive and token per-sender maps, tag configured categories and rank by USD value.
+   */
+  #groupBySender = (hivePerSender = {}, tokensPerSender = {}, nftsPerSender = {}, prices, hiveEntries = {}, opts) => {
+    const { hiveSenders, tokenSenders, historicalPrices } = opts;
+    const senders = new Set([
+      ...Object.keys(hivePerSender),
+      ...Object.keys(tokensPerSender),
+      ...Object.keys(nftsPerSender),
+    ]);
+    const grouped = [...senders].map((sender) => {
+      const assets = hivePerSender[sender] ?? {};
+      const hive = {
+        ...valueHiveAssets(assets, prices),
+        transactions: Object.values(assets).reduce((sum, xx) => sum + xx.transactions, 0),
+      };
+      if (hiveEntries[sender]) {
+        valueHiveEntries(hiveEntries[sender], prices);
+        hive.entries = hiveEntries[sender];
+      }
+      const breakdown = tokensPerSender[sender] ?? {};
+      const nfts = nftsPerSender[sender] ?? { breakdown: {}, totUsd: 0, transactions: 0 };
+      const tokens = {
+        breakdown,
+        nfts,
+        totUsd: +Object.values(breakdown).reduce((sum, xx) => sum + xx.totUsd, nfts.totUsd).toFixed(8),
+        transactions: Object.values(breakdown).reduce((sum, xx) => sum + xx.transactions, 0),
+      };
+      if (historicalPrices) {
+        tokens.totUsdAtTime = +Object.values(breakdown)
+          .reduce((sum, xx) => sum + (xx.totUsdAtTime ?? 0), 0).toFixed(8);
+      }
+      const category = categoryOf(hiveSenders, sender) ?? categoryOf(tokenSenders, sender);
+      return [sender, {
+        ...(category && { category }),
+        hive,
+        tokens,
+        totUsd: +(hive.totUsd + tokens.totUsd).toFixed(2),
+        ...(historicalPrices && {
+          totUsdAtTime: +((hive.totUsdAtTime ?? 0) + tokens.totUsdAtTime).toFixed(2),
+        }),
+      }];
+    });
+    grouped.sort(([, aa], [, bb]) => bb.totUsd - aa.totUsd);
+    return Object.fromEntries(grouped);
+  };
+
   inbounds = async ({
-    receivers = [], hiveSenders = {}, tokenSenders = {}, hours, days,
+    receivers = [], hiveSenders = {}, tokenSenders = {}, allSenders, perAccountBreakdown = false,
+    memoRules = [], memoFilter, tokenOps = this.#cfg.tokenOps, nftValuation = this.#cfg.nftValuation,
+    historicalPrices = this.#cfg.historicalPrices, currency = this.#cfg.currency,
+    tokenPricing = this.#cfg.tokenPricing, includeTransactions = this.#cfg.includeTransactions,
+    groupBy = this.#cfg.groupBy, timezone = this.#cfg.timezone, hours, days, from, to, fromBlock, toBlock,
+    onProgress = this.#cfg.onProgress, signal, strict = this.#cfg.strict, concurrency = this.#cfg.concurrency,
   }) => {
     // params validation
-    if (!receivers.length ||
-      (Object.keys(hiveSenders).length + Object.keys(tokenSenders).length === 0)) {
-      throw new Error(
-        'Please provide both the receiver(s) and the sender(s) accounts that you want to analyze'
-      );
-    }
-    if (days && hours) {
-      throw new Error('Please provide either hours or days, not both');
+    if (!receivers.length) {
+      throw new Error('Please provide the receiver(s) accounts that you want to analyze');
     }
-
-    const origHours = this.#cfg.hours;
-    if (hours != null) this.#cfg.hours = hours;
-    else if (days != null) this.#cfg.hours = days * 24;
+    validateConcurrency(concurrency);
+    validateSenders(hiveSenders, 'hiveSenders');
+    validateSenders(tokenSenders, 'tokenSenders');
+    validateMemoRules(memoRules, memoFilter);
+    validateTokenOps(tokenOps);
+    validateTokenPricing(tokenPricing);
+    validateGroupBy(groupBy, timezone);
+    const rates = await this.#fxRates(currency);
+    // without a sender filter we report every sender, grouped per account
+    const wildcard = allSenders
+      ?? (Object.keys(hiveSenders).length + Object.keys(tokenSenders).length === 0);
+    const range = await this.#resolveRange({
+      hours, days, from, to, fromBlock, toBlock,
+    });
 
     const out = {};
-    const origH = this.#cfg.hiveSenders;
-    const origT = this.#cfg.tokenSenders;
-    this.#cfg.hiveSenders = hiveSenders;
-    this.#cfg.tokenSenders = tokenSenders;
+    const issues = issuesOf({ strict, log: this.#cfg.log });
 
-    console.log(
+    this.#cfg.log.info(
       '[HR] [inbounds] starting inbounds scans...',
-      { hours: this.#cfg.hours, receivers, hiveSenders, tokenSenders }
+      { range: rangeInfo(range), receivers, hiveSenders, tokenSenders, allSenders: wildcard }
     );
 
-    for (const acc of receivers) {
+    const opts = this.#optsOf({
+      hiveSenders,
+      tokenSenders,
+      allSenders: wildcard,
+      perAccountBreakdown,
+      memoRules,
+      memoFilter,
+      tokenOps,
+      nftValuation,
+      historicalPrices,
+      tokenPricing,
+      includeTransactions,
+      groupBy,
+      timezone,
+      onProgress: progressOf('inbounds', onProgress),
+      signal,
+      report: issues.report,
+    });
+    const results = await mapConcurrent(receivers, concurrency, async (acc) => {
       try {
-        out.recipients = {
-          ...out.recipients,
-          [acc]: await this.analyzeAccountInbounds(acc),
-        };
+        return [acc, await this.analyzeAccountInbounds(acc, range, opts)];
       } catch (err) {
-        console.error(`[inbounds] Error analyzing ${acc}:`, err);
-        out.recipients = {
-          ...out.recipients,
-          [acc]: { error: err.message },
-        };
+        if (signal?.aborted || strict) throw err;
+        this.#cfg.log.error('[HR] [inbounds] Error analyzing', { account: acc, ...errorOf(err) });
+        return [acc, errorOf(err)];
       }
-    }
+    });
+    out.recipients = Object.fromEntries(results);
 
     // partition successes vs errors
     const entries = Object.entries(out.recipients);
@@ -123,178 +674,582 @@ export class EarningsAnalyzer {
       ...errors,
     ]);
 
-    this.#cfg.hiveSenders = origH;
-    this.#cfg.tokenSenders = origT;
-    this.#cfg.hours = origHours;
+    if (rates) out.recipients = toCurrencies(out.recipients, rates);
+    out.senders = { hiveSenders, tokenSenders, allSenders: wildcard };
+    out.range = rangeInfo(range);
 
-    out.senders = { hiveSenders, tokenSenders };
-
-    return out;
+    return { ...out, ...issuesSectionOf(out.recipients, issues.warnings()) };
   };
 
-  outbounds = async ({
-    senders = [], ignoredReceivers = [], hours, days,
+  chainRewards = async ({
+    accounts = [], currency = this.#cfg.currency, hours, days, from, to, fromBlock, toBlock,
+    onProgress = this.#cfg.onProgress, signal, strict = this.#cfg.strict, concurrency = this.#cfg.concurrency,
   } = {}) => {
     // params validation
-    if (!senders?.length) {
-      throw new Error('"senders" argument missing - provide at least one account');
-    }
-    if (days && hours) {
-      throw new Error('Please provide either hours or days, not both');
+    if (!accounts?.length) {
+      throw new Error('"accounts" argument missing - provide at least one account');
     }
+    validateConcurrency(concurrency);
+    const rates = await this.#fxRates(currency);
+    const range = await this.#resolveRange({
+      hours, days, from, to, fromBlock, toBlock,
+    });
 
-    const origHours = this.#cfg.hours;
-    if (hours != null) this.#cfg.hours = hours;
-    else if (days != null) this.#cfg.hours = days * 24;
-
-    this.#cfg.ignoredReceivers = ignoredReceivers;
-
-    const since = this.#sinceTs();
-    const out = {};
-
-    console.log(
-      '[HR] [outbounds] starting outbounds scans...',
-      { hours: this.#cfg.hours, senders, ignoredReceivers }
+    this.#cfg.log.info(
+      '[HR] [chainRewards] starting chain rewards scans...',
+      { range: rangeInfo(range), accounts }
     );
 
-    for (const sender of senders) {
+    const [props, prices] = await Promise.all([
+      this.#hiveApi.getDynamicGlobalProperties(),
+      this.#hiveAssetPrices(),
+    ]);
+    const vestsToHive = hivePerVests(props);
+    const valueOf = bag => bag.HIVE * prices.HIVE + bag.HBD * prices.HBD + bag.HP * prices.HP;
+    const round = ({ HIVE, HBD, HP, ...rest }) => ({
+      HIVE: +HIVE.toFixed(3), HBD: +HBD.toFixed(3), HP: +HP.toFixed(3), ...rest,
+    });
+
+    const issues = issuesOf({ strict, log: this.#cfg.log });
+    const opts = this.#optsOf({
+      onProgress: progressOf('chainRewards', onProgress), signal, report: issues.report,
+    });
+    const entries = await mapConcurrent(accounts, concurrency, async (acc) => {
       try {
-        try {
-          const errName = this.#cfg.hiveUtils.validateAccountName(sender);
-          if (errName) {
-            throw new Error(`Invalid Hive username “${sender}”: ${errName}`);
-          }
-        } catch (err) {
-          console.error(`Failed to validate account name: ${sender}`);
-        }
+        this.#validateAccount(acc);
 
-        this.#cfg.verbose && this.#cfg.log.debug(
-          `[HR] [outbounds] starting ${sender}'s scans...`
-        );
-        const ts = setInterval(() => process.stdout.write('.'), 3000);
         const start = Date.now();
+        const { totals, breakdown, claimed } = await this.#hiveSvc.analyzeChainRewards(acc, range, vestsToHive, opts);
+        const durationMinutes = ((Date.now() - start) / 60000).toFixed(2);
+        this.#cfg.log.info('[HR] [chainRewards] scans completed', { account: acc, durationMinutes: +durationMinutes });
 
-        const [
-          { perRecipient: hiveMap, perRecipientTxCount: hiveCountMap }, { perRecipient: tokMap, perRecipientTxCount: tokenCountMap, perRecipientSymbolTxCount: tokenSymbolCountMap },
-        ] = await Promise.all([
-          this.#hiveSvc.analyzeOutbound(sender, since),
-          this.#tokSvc.analyzeOutbound(sender, since),
-        ]);
+        return [acc, {
+          totals: round(totals),
+          breakdown: Object.fromEntries(
+            Object.entries(breakdown).map(([op, bag]) => [
+              op,
+              round({ ...bag, totUsd: +valueOf(bag).toFixed(2) }),
+            ])
+          ),
+          claimed: round(claimed),
+          hiveUsd: +prices.HIVE.toFixed(4),
+          hbdUsd: +prices.HBD.toFixed(4),
+          priceSource: prices.source,
+          totUsd: +valueOf(totals).toFixed(2),
+        }];
+      } catch (err) {
+        if (signal?.aborted || strict) throw err;
+        this.#cfg.log.error('[HR] [chainRewards] Error analyzing', { account: acc, ...errorOf(err) });
+        return [acc, errorOf(err)];
+      }
+    });
 
-        clearInterval(ts);
-        const durationMinutes = ((Date.now() - start) / 60000).toFixed(2);
-        console.log(
-          `\n[HR] [outbounds] ${sender}'s scans completed in ${durationMinutes} mins`
-        );
+    const success = entries.filter(([, data]) => !data.error);
+    const errors = entries.filter(([, data]) => data.error);
+    success.sort(([, aa], [, bb]) => bb.totUsd - aa.totUsd);
 
-        if (!Object.keys(hiveMap).length && !Object.keys(tokMap).length) {
-          out.senders = {
-            ...out.senders,
-            [sender]: {
-              recipients: {},
-              message: 'No Hive/tokens outbound transfers found',
-            },
-          };
-          continue;
-        }
+    const results = Object.fromEntries([...success, ...errors]);
+    return {
+      accounts: rates ? toCurrencies(results, rates) : results,
+      hivePerMvests: +(vestsToHive * 1e6).toFixed(3),
+      range: rangeInfo(range),
+      ...issuesSectionOf(results, issues.warnings()),
+    };
+  };
+
+  /**
+   * Outbound scan of one sender, the counterpart of analyzeAccountInbounds: outbounds() runs it
+   * per sender, so that a failing sender only fails its own entry.
+   * @param {string} sender
+   * @param {{ fromTs: number, toTs: number }} [range] - defaults to the last cfg.hours
+   * @param {Object} [opts] - settings of the call (ignored receivers, memo rules, ...), see #optsOf
+   */
+  analyzeAccountOutbounds = async (sender, range, opts = this.#optsOf()) => {
+    this.#validateAccount(sender);
+    const scanRange = range ?? await this.#resolveRange();
+
+    this.#cfg.log.debug('[HR] [outbounds] starting scans', { account: sender });
+    const start = Date.now();
+
+    const [
+      {
+        perRecipient: hiveMap,
+        perRecipientTxCount: hiveCountMap,
+        perRecipientAssetTxCount: hiveAssetCountMap,
+        perRecipientMemo: hiveMemoMap,
+        perRecipientUsdAtTime: hiveUsdAtMap,
+        perRecipientEntries: hiveEntriesMap,
+        series: hiveSeries,
+      },
+      {
+        perRecipient: tokMap,
+        perRecipientTxCount: tokenCountMap,
+        perRecipientSymbolTxCount: tokenSymbolCountMap,
+        perRecipientOps: tokOpsMap,
+        perRecipientUsdAtTime: tokUsdAtMap,
+        perRecipientMemo: tokMemoMap,
+        perRecipientMemoTxCount: tokMemoCountMap,
+        perRecipientMemoUsdAtTime: tokMemoUsdAtMap,
+        perRecipientEntries: tokEntriesMap,
+        perRecipientNfts: nftMap,
+        series: tokenSeries,
+      },
+    ] = await Promise.all([
+      this.#hiveSvc.analyzeOutbound(sender, scanRange, opts),
+      this.#tokSvc.analyzeOutbound(sender, scanRange, opts),
+    ]);
+
+    const durationMinutes = ((Date.now() - start) / 60000).toFixed(2);
+    this.#cfg.log.info('[HR] [outbounds] scans completed', { account: sender, durationMinutes: +durationMinutes });
 
-        this.#cfg.verbose && this.#cfg.log.debug('[HR] [outbounds] fetching prices...');
-        const hiveUsd = await this.#priceProv.getHiveUsd();
+    if (!Object.keys(hiveMap).length && !Object.keys(tokMap).length && !Object.keys(nftMap).length) {
+      return {
+        recipients: {},
+        message: 'No Hive/tokens/NFTs outbound transfers found',
+      };
+    }
+
+    this.#cfg.log.debug('[HR] [outbounds] fetching prices...');
+    const prices = await this.#hiveAssetPrices();
+    const hiveUsd = prices.HIVE;
+    const emptyHive = () => ({
+      totHive: 0,
+      totHbd: 0,
+      totHp: 0,
+      hiveUsd: +hiveUsd.toFixed(4),
+      hbdUsd: +prices.HBD.toFixed(4),
+      priceSource: prices.source,
+      assets: {},
+      totUsd: 0,
+      transactions: 0,
+    });
 
-        const recipients = {};
-        const cache = new Map();
-        const priceFor = async (symbol) => {
-          if (cache.has(symbol)) return cache.get(symbol);
-          const { price } = await this.#tokSvc.getTokenPriceUsd({ symbol, hiveUsd });
-          cache.set(symbol, price);
-          return price;
+    const recipients = {};
+    // memo breakdowns only hold subsets of the recipients' symbols
+    const tokenPrices = await this.#tokenPrices.getPricesUsd(
+      Object.values(tokMap).flatMap(Object.keys),
+      hiveUsd,
+      opts,
+    );
+    const valueSymbols = async (bag, countOf, opsOf, usdAtOf, entriesOf) => {
+      const breakdown = {};
+      let totUsd = 0;
+      let totUsdAtTime;
+      for (const [symbol, amt] of Object.entries(bag)) {
+        const {
+          price, source, confidence, liquidity,
+        } = tokenPrices[symbol];
+        const usd = +(amt * price).toFixed(8);
+        const usdAtTime = usdAtOf?.(symbol);
+        const records = entriesOf?.(symbol);
+        records?.forEach((record) => { record.usd = +(record.amount * price).toFixed(8); });
+        breakdown[symbol] = {
+          amount: +amt.toFixed(2),
+          usd,
+          priceSource: source,
+          confidence,
+          ...(liquidity != null && { liquidityHive: liquidity }),
+          ...(usdAtTime != null && { usdAtTime: +usdAtTime.toFixed(8) }),
+          transactions: countOf(symbol),
+          ...(opsOf && { operations: roundOps(opsOf(symbol)) }),
+          ...(records && { entries: records }),
         };
+        totUsd += usd;
+        if (usdAtTime != null) totUsdAtTime = (totUsdAtTime ?? 0) + usdAtTime;
+      }
+      return {
+        breakdown,
+        totUsd: +totUsd.toFixed(8),
+        ...(totUsdAtTime != null && { totUsdAtTime: +totUsdAtTime.toFixed(8) }),
+      };
+    };
 
-        for (const [user, amt] of Object.entries(hiveMap)) {
-          recipients[user] = {
-            hive: {
-              totHive: amt,
-              hiveUsd: +hiveUsd.toFixed(4),
-              totUsd: +(amt * hiveUsd).toFixed(2),
-              transactions: hiveCountMap[user] || 0,
-            },
-            tokens: { breakdown: {}, totUsd: 0, transactions: 0 },
-          };
+    const hiveAssetTotals = {};
+    for (const [user, bag] of Object.entries(hiveMap)) {
+      const assets = {};
+      for (const [asset, amt] of Object.entries(bag)) {
+        const transactions = hiveAssetCountMap[user]?.[asset] ?? 0;
+        const usdAtTime = hiveUsdAtMap[user]?.[asset];
+        assets[asset] = { amount: amt, transactions, ...(usdAtTime != null && { usdAtTime }) };
+        hiveAssetTotals[asset] ??= { amount: 0, transactions: 0 };
+        hiveAssetTotals[asset].amount += amt;
+        hiveAssetTotals[asset].transactions += transactions;
+        if (usdAtTime != null) {
+          hiveAssetTotals[asset].usdAtTime = (hiveAssetTotals[asset].usdAtTime ?? 0) + usdAtTime;
         }
+      }
+      recipients[user] = {
+        hive: {
+          ...emptyHive(),
+          totHive: bag.HIVE ?? 0,
+          totHbd: bag.HBD ?? 0,
+          totHp: bag.HP ?? 0,
+          ...valueHiveAssets(assets, prices),
+          transactions: hiveCountMap[user] || 0,
+        },
+        tokens: { breakdown: {}, totUsd: 0, transactions: 0 },
+      };
+      if (hiveEntriesMap[user]) {
+        valueHiveEntries(hiveEntriesMap[user], prices);
+        recipients[user].hive.entries = hiveEntriesMap[user];
+      }
+      if (hiveMemoMap[user]) {
+        recipients[user].hive.memoBreakdown = Object.fromEntries(
+          Object.entries(hiveMemoMap[user]).map(([label, labelAssets]) => [
+            label,
+            valueHiveAssets(labelAssets, prices),
+          ])
+        );
+      }
+    }
 
-        for (const [user, bag] of Object.entries(tokMap)) {
-          if (!recipients[user]) {
-            recipients[user] = {
-              hive: {
-                totHive: 0,
-                hiveUsd: +hiveUsd.toFixed(4),
-                totUsd: 0,
-                transactions: 0,
-              },
-              tokens: {
-                breakdown: {},
-                totUsd: 0,
-                transactions: tokenCountMap[user] || 0,
-              },
-            };
-          }
-          for (const [symbol, amt] of Object.entries(bag)) {
-            const usdEach = await priceFor(symbol);
-            const usd = +(amt * usdEach).toFixed(8);
-            recipients[user].tokens.breakdown[symbol] = {
-              amount: +amt.toFixed(2),
-              usd,
-              transactions: tokenSymbolCountMap?.[user]?.[symbol] ?? 0,
-            };
-            recipients[user].tokens.totUsd += usd;
-          }
-          recipients[user].tokens.transactions = tokenCountMap[user] || 0;
-          recipients[user].tokens.totUsd = +recipients[user].tokens.totUsd.toFixed(8);
+    for (const [user, bag] of Object.entries(tokMap)) {
+      recipients[user] ??= {
+        hive: emptyHive(),
+        tokens: { breakdown: {}, totUsd: 0, transactions: 0 },
+      };
+      recipients[user].tokens = {
+        ...await valueSymbols(
+          bag,
+          symbol => tokenSymbolCountMap?.[user]?.[symbol] ?? 0,
+          symbol => tokOpsMap[user][symbol],
+          symbol => tokUsdAtMap[user]?.[symbol],
+          symbol => tokEntriesMap[user]?.[symbol],
+        ),
+        transactions: tokenCountMap[user] || 0,
+      };
+      if (tokMemoMap[user]) {
+        const memoBreakdown = {};
+        for (const [label, labelBag] of Object.entries(tokMemoMap[user])) {
+          memoBreakdown[label] = await valueSymbols(
+            labelBag,
+            symbol => tokMemoCountMap[user][label][symbol] ?? 0,
+            undefined,
+            symbol => tokMemoUsdAtMap[user]?.[label]?.[symbol],
+          );
         }
+        recipients[user].tokens.memoBreakdown = memoBreakdown;
+      }
+    }
 
-        const sortedRecipients = Object.fromEntries(
-          Object.entries(recipients).sort(
-            ([, aa], [, bb]) => (bb.hive.totUsd + bb.tokens.totUsd) -
-              (aa.hive.totUsd + aa.tokens.totUsd)
-          )
-        );
+    // NFTs are Hive-Engine assets: their value is folded into the recipient's tokens total
+    const nftCache = new Map();
+    let totUsdSentInNfts = 0;
+    for (const [user, bag] of Object.entries(nftMap)) {
+      recipients[user] ??= {
+        hive: emptyHive(),
+        tokens: { breakdown: {}, totUsd: 0, transactions: 0 },
+      };
+      const nfts = await this.#tokSvc.valueNfts(bag, hiveUsd, nftCache, opts);
+      recipients[user].tokens.nfts = nfts;
+      recipients[user].tokens.totUsd = +(recipients[user].tokens.totUsd + nfts.totUsd).toFixed(8);
+      totUsdSentInNfts += nfts.totUsd;
+    }
 
-        let totUsdSentInHive = 0;
-        for (const amt of Object.values(hiveMap)) {
-          totUsdSentInHive += amt * hiveUsd;
-        }
+    const sortedRecipients = Object.fromEntries(
+      Object.entries(recipients).sort(
+        ([, aa], [, bb]) => (bb.hive.totUsd + bb.tokens.totUsd) -
+          (aa.hive.totUsd + aa.tokens.totUsd)
+      )
+    );
 
-        let totUsdSentInTokens = 0;
-        for (const bag of Object.values(tokMap)) {
-          for (const [sym, amt] of Object.entries(bag)) {
-            const usdEach = await priceFor(sym);
-            totUsdSentInTokens += amt * usdEach;
-          }
-        }
+    const {
+      assets: hiveAssets, totUsd: totUsdSentInHive, totUsdAtTime: totUsdSentInHiveAtTime,
+    } = valueHiveAssets(hiveAssetTotals, prices);
 
-        out.senders = {
-          ...out.senders,
-          [sender]: {
-            recipients: sortedRecipients,
-            stats: {
-              totHiveTransactions: Object.values(hiveCountMap).reduce((aa, bb) => aa + bb, 0),
-              totTokensTransactions: Object.values(tokenCountMap).reduce((aa, bb) => aa + bb, 0),
-              totUsdSentInHive: +totUsdSentInHive.toFixed(2),
-              totUsdSentInTokens: +totUsdSentInTokens.toFixed(2),
-            },
-          },
-        };
+    let totUsdSentInTokens = 0;
+    let totUsdSentInTokensAtTime = 0;
+    for (const [user, bag] of Object.entries(tokMap)) {
+      for (const [sym, amt] of Object.entries(bag)) {
+        totUsdSentInTokens += amt * tokenPrices[sym].price;
+        totUsdSentInTokensAtTime += tokUsdAtMap[user]?.[sym] ?? 0;
+      }
+    }
+
+    return {
+      recipients: sortedRecipients,
+      stats: {
+        totHiveTransactions: Object.values(hiveCountMap).reduce((aa, bb) => aa + bb, 0),
+        totTokensTransactions: Object.values(tokenCountMap).reduce((aa, bb) => aa + bb, 0),
+        totUsdSentInHive,
+        hiveAssets,
+        totUsdSentInTokens: +totUsdSentInTokens.toFixed(2),
+        ...(opts.historicalPrices && {
+          totUsdSentInHiveAtTime: totUsdSentInHiveAtTime ?? 0,
+          totUsdSentInTokensAtTime: +totUsdSentInTokensAtTime.toFixed(2),
+        }),
+        totNftTransactions: Object.values(nftMap)
+          .flatMap(bag => Object.values(bag))
+          .reduce((sum, xx) => sum + xx.transactions, 0),
+        totUsdSentInNfts: +totUsdSentInNfts.toFixed(2),
+      },
+      ...(opts.groupBy && {
+        timeSeries: await this.#timeSeries(hiveSeries, tokenSeries, prices, 'byRecipient', opts),
+      }),
+    };
+  };
+
+  outbounds = async ({
+    senders = [], ignoredReceivers = [], memoRules = [], memoFilter, tokenOps = this.#cfg.tokenOps,
+    nftValuation = this.#cfg.nftValuation, historicalPrices = this.#cfg.historicalPrices,
+    currency = this.#cfg.currency, tokenPricing = this.#cfg.tokenPricing,
+    includeTransactions = this.#cfg.includeTransactions, groupBy = this.#cfg.groupBy,
+    timezone = this.#cfg.timezone, hours, days, from, to, fromBlock, toBlock,
+    onProgress = this.#cfg.onProgress, signal, strict = this.#cfg.strict, concurrency = this.#cfg.concurrency,
+  } = {}) => {
+    // params validation
+    if (!senders?.length) {
+      throw new Error('"senders" argument missing - provide at least one account');
+    }
+    validateConcurrency(concurrency);
+    validateMemoRules(memoRules, memoFilter);
+    validateTokenOps(tokenOps);
+    validateTokenPricing(tokenPricing);
+    validateGroupBy(groupBy, timezone);
+    const rates = await this.#fxRates(currency);
+    const range = await this.#resolveRange({
+      hours, days, from, to, fromBlock, toBlock,
+    });
+
+    const out = {};
+    const issues = issuesOf({ strict, log: this.#cfg.log });
+
+    this.#cfg.log.info(
+      '[HR] [outbounds] starting outbounds scans...',
+      { range: rangeInfo(range), senders, ignoredReceivers }
+    );
+
+    const opts = this.#optsOf({
+      ignoredReceivers,
+      memoRules,
+      memoFilter,
+      tokenOps,
+      nftValuation,
+      historicalPrices,
+      tokenPricing,
+      includeTransactions,
+      groupBy,
+      timezone,
+      onProgress: progressOf('outbounds', onProgress),
+      signal,
+      report: issues.report,
+    });
+    const results = await mapConcurrent(senders, concurrency, async (sender) => {
+      try {
+        return [sender, await this.analyzeAccountOutbounds(sender, range, opts)];
       } catch (err) {
-        console.error(`[outbounds] Error analyzing ${sender}:`, err);
-        out.senders = {
-          ...out.senders,
-          [sender]: { error: err.message },
-        };
+        if (signal?.aborted || strict) throw err;
+        this.#cfg.log.error('[HR] [outbounds] Error analyzing', { account: sender, ...errorOf(err) });
+        return [sender, errorOf(err)];
+      }
+    });
+    out.senders = Object.fromEntries(results);
+
+    if (rates) out.senders = toCurrencies(out.senders, rates);
+    out.range = rangeInfo(range);
+    return { ...out, ...issuesSectionOf(out.senders, issues.warnings()) };
+  };
+
+  /**
+   * Run an inbounds / outbounds query over the current window and a baseline one, by default the
+   * window of the same length right before it, and report the changes per account, group
+   * (category, sender or recipient) and symbol. Both windows share a history memo: the
+   * history pages are downloaded once.
+   * @param {{ direction?: 'inbound'|'outbound', baseline?: Object }} query - same params as the
+   * corresponding API; baseline takes range params (from/to, fromBlock/toBlock, hours/days)
+   */
+  compare = async ({
+    direction = 'inbound', baseline, currency = this.#cfg.currency,
+    hours, days, from, to, fromBlock, toBlock, ...query
+  } = {}) => {
+    if (!['inbound', 'outbound'].includes(direction)) {
+      throw new Error(`Invalid compare direction "${direction}": use inbound or outbound`);
+    }
+    if (baseline != null && typeof baseline !== 'object') {
+      throw new Error('baseline must be an object of range params, eg. { from, to }');
+    }
+    const rates = await this.#fxRates(currency);
+    const range = await this.#resolveRange({
+      hours, days, from, to, fromBlock, toBlock,
+    });
+    const baselineRange = baseline
+      ? await this.#resolveRange(baseline)
+      : { fromTs: 2 * range.fromTs - range.toTs, toTs: range.fromTs - 1 };
+
+    // same window, without re-resolving relative bounds against a later "now"
+    const windowOf = ({ fromTs, toTs, fromBlock: fromB, toBlock: toB }) => ({
+      ...(fromB != null ? { fromBlock: fromB } : { from: fromTs }),
+      ...(toB != null ? { toBlock: toB } : { to: toTs }),
+    });
+    const run = direction === 'inbound' ? this.inbounds : this.outbounds;
+    const key = direction === 'inbound' ? 'recipients' : 'senders';
+    // the current window is scanned first: the baseline scan reuses its cached pages, heads included
+    const [current, previous] = await this.#history.pinningHeads(async () => [
+      await run({ ...query, ...windowOf(range), currency: 'usd' }),
+      await run({ ...query, ...windowOf(baselineRange), currency: 'usd' }),
+    ]);
+
+    const errors = {};
+    const deltas = {};
+    for (const account of Object.keys(current[key])) {
+      const cur = current[key][account];
+      const base = previous[key][account];
+      if (cur.error || base.error) {
+        errors[account] = cur.error ? cur : base;
         continue;
       }
+      const { name, groups } = compareGroupsOf(cur, direction);
+      const { groups: baselineGroups } = compareGroupsOf(base, direction);
+      const groupsUsd = byGroup => Object.values(byGroup).reduce((sum, symbols) => sum + usdOf(symbols), 0);
+      deltas[account] = {
+        ...usdChange(groupsUsd(groups), groupsUsd(baselineGroups)),
+        [name]: compareKeys(groups, baselineGroups, compareSymbols),
+      };
     }
 
-    this.#cfg.hours = origHours;
-    return out;
+    const convert = accounts => (rates ? toCurrencies(accounts, rates) : accounts);
+    return {
+      direction,
+      current: { ...current, [key]: convert(current[key]) },
+      baseline: { ...previous, [key]: convert(previous[key]) },
+      deltas: convert(deltas),
+      ...issuesSectionOf(errors, [...current.warnings ?? [], ...previous.warnings ?? []]),
+      range: { current: rangeInfo(range), baseline: rangeInfo(baselineRange) },
+    };
   };
+
+  /**
+   * Current USD valuation of Hive-layer assets (HIVE, HBD, HP) and Hive-Engine tokens, with the
+   * source it came from.
+   * @param {{ symbols?: string[], currency?: string|string[] }} [params]
+   */
+  prices = async ({ symbols = ['HIVE'], currency = this.#cfg.currency, strict = this.#cfg.strict } = {}) => {
+    if (!symbols?.length) throw new Error('"symbols" argument missing - provide at least one symbol');
+    const rates = await this.#fxRates(currency);
+    const hivePrices = await this.#hiveAssetPrices();
+    const list = symbols.map(symbol => symbol.toUpperCase());
+    const issues = issuesOf({ strict, log: this.#cfg.log });
+    const tokenPrices = await this.#tokenPrices.getPricesUsd(
+      list.filter(symbol => !['HIVE', 'HBD', 'HP'].includes(symbol)),
+      hivePrices.HIVE,
+      this.#optsOf({ report: issues.report }),
+    );
+    const prices = list.map((symbol) => {
+      if (hivePrices[symbol] != null) return { symbol, usd: hivePrices[symbol], source: hivePrices.source };
+      const {
+        price, source, confidence, liquidity,
+      } = tokenPrices[symbol];
+      return {
+        symbol, usd: +price.toFixed(8), source, confidence, ...(liquidity != null && { liquidityHive: liquidity }),
+      };
+    });
+    return { prices: rates ? toCurrencies(prices, rates) : prices, ...issuesSectionOf({}, issues.warnings()) };
+  };
+
+  /**
+   * Most recent operations of an account, decoded, from its Hive or its Hive-Engine history.
+   * @param {{ account: string, engine?: boolean, limit?: number }} params
+   */
+  history = async ({ account, engine = false, limit = 20 } = {}) => {
+    if (!account) throw new Error('"account" argument missing');
+    if (!Number.isInteger(limit) || limit <= 0) throw new Error('limit must be a positive integer');
+    const svc = engine ? this.#tokSvc : this.#hiveSvc;
+    return {
+      account,
+      layer: engine ? 'hive-engine' : 'hive',
+      transactions: await svc.recentHistory(account, limit),
+    };
+  };
+
+  /**
+   * Follow new transfers live: receivers are watched like inbounds() (every sender without a
+   * sender map), senders like outbounds(). Emits hiveTransfer / tokenTransfer events valued at the
+   * current prices and keeps running totals since the start, see TransferWatcher.
+   * @returns {Promise<TransferWatcher>} started watcher, call stop() to end it
+   */
+  watch = async ({
+    receivers = [], senders = [], hiveSenders = {}, tokenSenders = {}, allSenders, memoFilter,
+    ignoredReceivers = this.#cfg.ignoredReceivers, tokenOps = this.#cfg.tokenOps,
+    currency = this.#cfg.currency, interval = DEFAULT_WATCH_INTERVAL_MS, signal,
+  } = {}) => {
+    // params validation
+    if (!receivers.length && !senders.length) {
+      throw new Error('Please provide the receiver(s) and / or sender(s) accounts that you want to watch');
+    }
+    validateSenders(hiveSenders, 'hiveSenders');
+    validateSenders(tokenSenders, 'tokenSenders');
+    validateMemoRules([], memoFilter);
+    validateTokenOps(tokenOps);
+    if (!Number.isInteger(interval) || interval <= 0) throw new Error('interval must be a positive integer (ms)');
+    [...receivers, ...senders].forEach(this.#validateAccount);
+    const rates = await this.#fxRates(currency);
+    const wildcard = allSenders
+      ?? (Object.keys(hiveSenders).length + Object.keys(tokenSenders).length === 0);
+    // settings captured once: the watcher keeps them for as long as it runs
+    const opts = this.#optsOf({ tokenOps });
+
+    const watcher = new TransferWatcher({
+      hiveSvc: this.#hiveSvc,
+      tokSvc: this.#tokSvc,
+      pricesOf: async (symbols) => {
+        const { source, ...hivePrices } = await this.#hiveAssetPrices();
+        const tokenPrices = await this.#tokenPrices.getPricesUsd(symbols, hivePrices.HIVE, opts);
+        return {
+          ...Object.fromEntries(Object.entries(tokenPrices).map(([symbol, { price }]) => [symbol, price])),
+          ...hivePrices,
+        };
+      },
+      present: node => (rates ? toCurrencies(node, rates) : node),
+      log: this.#cfg.log,
+    }, {
+      receivers,
+      senders,
+      hiveSenders,
+      tokenSenders,
+      allSenders: wildcard,
+      ignoredReceivers,
+      memoFilter,
+      tokenOps,
+      interval,
+    });
+    await watcher.start();
+    if (signal?.aborted) watcher.stop();
+    signal?.addEventListener('abort', watcher.stop, { once: true });
+    return watcher;
+  };
+
+  /**
+   * Flat, chronologically sorted list of the transfers matched by an inbounds / outbounds query.
+   * Takes the same params as the corresponding API, plus the direction to scan. Values are
+   * reported in a single currency, in the value / currency columns.
+   * @param {{ direction?: 'inbound'|'outbound', currency?: string }} query
+   */
+  ledger = async ({
+    direction = 'inbound', currency = this.#cfg.currency, memoRules = [], ...query
+  } = {}) => {
+    if (!['inbound', 'outbound'].includes(direction)) {
+      throw new Error(`Invalid ledger direction "${direction}": use inbound or outbound`);
+    }
+    const rates = await this.#fxRates(currency);
+    const [cur, ...others] = currenciesOf(currency);
+    if (others.length) throw new Error('A ledger takes a single currency');
+    const scan = direction === 'inbound' ? this.inbounds : this.outbounds;
+    const out = await scan({
+      ...query, memoRules, currency: 'usd', includeTransactions: true,
+    });
+    const accounts = direction === 'inbound' ? out.recipients : out.senders;
+
+    return {
+      direction,
+      transactions: ledgerOf(accounts, direction, { currency: cur, rate: rates?.[cur] ?? 1, memoRules }),
+      ...issuesSectionOf(accounts, out.warnings),
+      range: out.range,
+    };
+  };
+
+  /**
+   * Drop the account history pages cached by the previous scans: the next ones download
+   * their histories again.
+   */
+  clearHistoryCache = () => this.#history.clear();
 }
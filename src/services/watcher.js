@@ -0,0 +1,191 @@
+import { Emitter } from '../utils/utils.js';
+import { categoryOf, passesMemoFilter, senderAccountsOf } from './analyzers.js';
+
+/* -------------------------------------------------------------------------- */
+/* Live watch                                                                 */
+/* -------------------------------------------------------------------------- */
+
+const newTotals = () => ({
+  transactions: 0, usd: 0, hive: {}, tokens: {},
+});
+
+// add a valued transfer to a { transactions, usd, hive: { [asset]: ... }, tokens: { [symbol]: ... } } total
+const addToTotals = (totals, layer, symbol, amount, usd) => {
+  totals.transactions += 1;
+  totals.usd = +(totals.usd + usd).toFixed(8);
+  totals[layer][symbol] ??= { amount: 0, transactions: 0, usd: 0 };
+  const bag = totals[layer][symbol];
+  bag.amount = +(bag.amount + amount).toFixed(8);
+  bag.transactions += 1;
+  bag.usd = +(bag.usd + usd).toFixed(8);
+};
+
+/**
+ * Follows the Hive and Hive-Engine histories of the watched accounts, emitting the new transfers
+ * that match the watch params:
+ * - `hiveTransfer` / `tokenTransfer`: ledger record + direction, account, category? and usd value
+ * - `error`: a poll failed; the next one resumes from the last seen block of each layer
+ *
+ * Node failover is handled by the API wrappers (see getNodeEndpoint), so a poll only fails once
+ * every retry did: nothing is skipped, the cursors only move forward after a successful poll.
+ */
+export class TransferWatcher extends Emitter {
+  #hiveSvc;
+  #tokSvc;
+  #pricesOf;
+  #present;
+  #log;
+  #params;
+  #cursors = {};
+  #totals = {};
+  #since;
+  #running = false;
+  #timer;
+  #wake;
+
+  /**
+   * @param {{ hiveSvc: Object, tokSvc: Object, pricesOf: Function, present: Function, log: Object }} deps -
+   *   pricesOf(symbols) resolves the current USD prices, present() converts events / totals
+   *   into the output currencies, log is the analyzer logger (see createLogger)
+   * @param {Object} params - see EarningsAnalyzer.watch(), captured when the watcher is created
+   */
+  constructor({
+    hiveSvc, tokSvc, pricesOf, present, log,
+  }, params) {
+    super();
+    this.#hiveSvc = hiveSvc;
+    this.#tokSvc = tokSvc;
+    this.#pricesOf = pricesOf;
+    this.#present = present;
+    this.#log = log;
+    // copied: changing the caller's lists or sender maps does not change what a running watcher matches
+    this.#params = {
+      ...params,
+      receivers: [...params.receivers],
+      senders: [...params.senders],
+      hiveSenders: { ...params.hiveSenders },
+      tokenSenders: { ...params.tokenSenders },
+      ignoredReceivers: [...params.ignoredReceivers],
+      tokenOps: [...params.tokenOps],
+    };
+    if (params.receivers.length) this.#totals.inbound = newTotals();
+    if (params.senders.length) this.#totals.outbound = newTotals();
+  }
+
+  get #accounts() {
+    return [...new Set([...this.#params.receivers, ...this.#params.senders])];
+  }
+
+  /**
+   * Direction (and category) of a transfer of a watched account, null when it is not watched.
+   */
+  #match = (account, { from, to, memo }, senders) => {
+    const {
+      receivers, senders: payers, allSenders, ignoredReceivers, memoFilter,
+    } = this.#params;
+    if (from === to || !passesMemoFilter(memoFilter, memo)) return null;
+    if (to === account && receivers.includes(account)
+      && (allSenders || senderAccountsOf(senders).includes(from))) {
+      const category = categoryOf(senders, from);
+      return { direction: 'inbound', account, ...(category && { category }) };
+    }
+    if (from === account && payers.includes(account) && !ignoredReceivers.includes(to)) {
+      return { direction: 'outbound', account };
+    }
+    return null;
+  };
+
+  /**
+   * Value the matched transfers of a layer at the current prices, add them to the running
+   * totals and emit them, oldest first.
+   */
+  #publish = async (account, layer, transfers) => {
+    const { hiveSenders, tokenSenders } = this.#params;
+    const matches = transfers
+      .map(record => [record, this.#match(account, record, layer === 'hive' ? hiveSenders : tokenSenders)])
+      .filter(([, match]) => match);
+    if (!matches.length) return;
+
+    const prices = await this.#pricesOf(matches.map(([record]) => record.symbol).filter(Boolean));
+    for (const [record, match] of matches) {
+      const symbol = record.asset ?? record.symbol;
+      const usd = +(record.amount * (prices[symbol] ?? 0)).toFixed(8);
+      addToTotals(this.#totals[match.direction], layer, symbol, record.amount, usd);
+      this.emit(layer === 'hive' ? 'hiveTransfer' : 'tokenTransfer', this.#present({ ...record, ...match, usd }));
+    }
+  };
+
+  #poll = async (account) => {
+    const cursor = this.#cursors[account];
+    const { failed, block, heBlock } = cursor;
+    const hive = await this.#hiveSvc.transfersSince(account, cursor.hiveIdx);
+    await this.#publish(account, 'hive', hive.transfers);
+    cursor.hiveIdx = hive.lastIdx;
+    cursor.block = hive.lastBlock ?? cursor.block;
+
+    const tokens = await this.#tokSvc.transfersSince(account, cursor.heBlock, this.#params.tokenOps);
+    await this.#publish(account, 'tokens', tokens.transfers);
+    cursor.heBlock = tokens.lastBlock;
+    cursor.failed = false;
+    failed && this.#log.info('[HR] [watch] resumed', { account, block, heBlock });
+  };
+
+  #pollAll = async () => {
+    for (const account of this.#accounts) {
+      if (!this.#running) return;
+      try {
+        await this.#poll(account);
+      } catch (err) {
+        this.#cursors[account].failed = true;
+        if (!this.emit('error', err)) this.#log.error('[HR] [watch] poll failed', { account, error: err.message });
+      }
+    }
+  };
+
+  #loop = async () => {
+    while (this.#running) {
+      await new Promise((res) => {
+        this.#wake = res;
+        this.#timer = setTimeout(res, this.#params.interval);
+      });
+      await this.#pollAll();
+    }
+  };
+
+  /**
+   * Look up where each watched history currently ends, then poll every `interval` ms:
+   * only the transfers that happen from now on are emitted.
+   * @returns {Promise<TransferWatcher>}
+   */
+  start = async () => {
+    for (const account of this.#accounts) {
+      const hive = await this.#hiveSvc.transfersSince(account);
+      const tokens = await this.#tokSvc.transfersSince(account);
+      this.#cursors[account] = { hiveIdx: hive.lastIdx, block: hive.lastBlock, heBlock: tokens.lastBlock };
+    }
+    this.#since = new Date().toISOString();
+    this.#running = true;
+    this.#loop();
+    this.#log.info('[HR] [watch] watching', { accounts: this.#accounts, intervalMs: this.#params.interval });
+    return this;
+  };
+
+  // stop polling; a poll in progress completes without emitting further accounts
+  stop = () => {
+    this.#running = false;
+    clearTimeout(this.#timer);
+    this.#wake?.();
+  };
+
+  /**
+   * Running totals since start, per direction, layer and symbol.
+   * @returns {{ since: string, inbound?: Object, outbound?: Object }}
+   */
+  totals = () => this.#present({ since: this.#since, ...structuredClone(this.#totals) });
+
+  /**
+   * Last history positions read per account: Hive history index and block, Hive-Engine block.
+   * @returns {Object<string, { hiveIdx: number, block?: number, heBlock: number }>}
+   */
+  cursors = () => Object.fromEntries(Object.entries(this.#cursors).map(([account, { failed, ...cursor }]) => [account, cursor]));
+}
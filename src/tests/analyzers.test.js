@@ -0,0 +1,941 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  HiveEarningsService, TokenEarningsService, TokenPriceService, decodeTokenMoves, ownMoveOf,
+} from '../services/analyzers.js';
+import { HE_PRICE_BATCH_SIZE, TOKEN_OP_FAMILIES } from '../config/config.js';
+import { HistoryIncompleteError, issuesOf } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
+
+const decodeAll = tx => decodeTokenMoves(tx, TOKEN_OP_FAMILIES);
+
+describe('decodeTokenMoves', () => {
+  it('decodes transfers, stakes, issues and delegations as a single move', () => {
+    const base = { from: 'game', to: 'alice', symbol: 'DOOM', quantity: '12.5' };
+    assert.deepEqual(decodeAll({ ...base, operation: 'tokens_transfer' }), [
+      { family: 'transfers', from: 'game', to: 'alice', symbol: 'DOOM', qty: 12.5 },
+    ]);
+    assert.equal(decodeAll({ ...base, operation: 'tokens_stake' })[0].family, 'stakes');
+    assert.equal(decodeAll({ ...base, operation: 'tokens_issue' })[0].family, 'issues');
+    assert.equal(decodeAll({ ...base, operation: 'tokens_delegate' })[0].family, 'delegations');
+  });
+
+  it('tells distribution payouts from other contract transfers', () => {
+    const tx = {
+      operation: 'tokens_transferFromContract', from: 'distribution', to: 'alice', symbol: 'DOOM', quantity: '1',
+    };
+    assert.equal(decodeAll(tx)[0].family, 'distributions');
+    assert.equal(decodeAll({ ...tx, from: 'packmanager' })[0].family, 'transfers');
+  });
+
+  it('reports unstakes as sent by the tokens contract', () => {
+    assert.deepEqual(decodeAll({
+      operation: 'tokens_unstakeDone', account: 'alice', symbol: 'DOOM', quantity: '3',
+    }), [{ family: 'unstakes', from: 'tokens', to: 'alice', symbol: 'DOOM', qty: 3 }]);
+  });
+
+  it('decodes both legs of market fills and pool swaps', () => {
+    assert.deepEqual(decodeAll({
+      operation: 'market_buy', account: 'alice', symbol: 'DOOM', quantityTokens: '100', quantityHive: '2',
+    }), [
+      { family: 'market', from: 'market', to: 'alice', symbol: 'DOOM', qty: 100 },
+      { family: 'market', from: 'alice', to: 'market', symbol: 'SWAP.HIVE', qty: 2 },
+    ]);
+    assert.deepEqual(decodeAll({
+      operation: 'market_sell', account: 'alice', symbol: 'DOOM', quantityTokens: '100', quantityHive: '2',
+    }), [
+      { family: 'market', from: 'alice', to: 'market', symbol: 'DOOM', qty: 100 },
+      { family: 'market', from: 'market', to: 'alice', symbol: 'SWAP.HIVE', qty: 2 },
+    ]);
+    assert.deepEqual(decodeAll({
+      operation: 'marketpools_swapTokens',
+      account: 'alice',
+      symbolIn: 'SWAP.HIVE',
+      symbolInQuantity: '5',
+      symbolOut: 'DOOM',
+      symbolOutQuantity: '240',
+    }), [
+      { family: 'swaps', from: 'alice', to: 'marketpools', symbol: 'SWAP.HIVE', qty: 5 },
+      { family: 'swaps', from: 'marketpools', to: 'alice', symbol: 'DOOM', qty: 240 },
+    ]);
+  });
+
+  it('keeps only the requested families', () => {
+    const tx = {
+      operation: 'tokens_stake', from: 'game', to: 'alice', symbol: 'DOOM', quantity: '1',
+    };
+    assert.deepEqual(decodeTokenMoves(tx, ['transfers']), []);
+    assert.equal(decodeTokenMoves(tx, ['stakes']).length, 1);
+  });
+
+  it('drops unknown operations and moves without a symbol or a positive quantity', () => {
+    assert.deepEqual(decodeAll({ operation: 'comments_vote', account: 'alice' }), []);
+    assert.deepEqual(decodeAll({
+      operation: 'tokens_transfer', from: 'game', to: 'alice', symbol: 'DOOM', quantity: '0',
+    }), []);
+    assert.deepEqual(decodeAll({
+      operation: 'tokens_transfer', from: 'game', to: 'alice', quantity: '1',
+    }), []);
+  });
+});
+
+describe('ownMoveOf', () => {
+  const [spent, bought] = decodeAll({
+    operation: 'marketpools_swapTokens',
+    account: 'alice',
+    symbolIn: 'SWAP.HIVE',
+    symbolInQuantity: '5',
+    symbolOut: 'DOOM',
+    symbolOutQuantity: '240',
+  });
+
+  it('ignores the families that are not own operations', () => {
+    const [transfer] = decodeAll({
+      operation: 'tokens_transfer', from: 'game', to: 'alice', symbol: 'DOOM', quantity: '1',
+    });
+    assert.equal(ownMoveOf(transfer, 'alice', 'inbound'), null);
+  });
+
+  it('counts a trade net: the leg given away is negative', () => {
+    assert.deepEqual(ownMoveOf(bought, 'alice', 'inbound'), { counterpart: 'marketpools', mv: bought });
+    assert.deepEqual(ownMoveOf(spent, 'alice', 'inbound'), {
+      counterpart: 'marketpools', mv: { ...spent, qty: -5 },
+    });
+    assert.deepEqual(ownMoveOf(spent, 'alice', 'outbound'), { counterpart: 'marketpools', mv: spent });
+    assert.equal(ownMoveOf(bought, 'alice', 'outbound').mv.qty, -240);
+  });
+
+  it('counts an unstake in its own direction only', () => {
+    const [unstake] = decodeAll({
+      operation: 'tokens_unstakeDone', account: 'alice', symbol: 'DOOM', quantity: '3',
+    });
+    assert.deepEqual(ownMoveOf(unstake, 'alice', 'inbound'), { counterpart: 'tokens', mv: unstake });
+    assert.equal(ownMoveOf(unstake, 'alice', 'outbound'), null);
+  });
+
+  it('ignores the moves of other accounts', () => {
+    assert.equal(ownMoveOf(bought, 'bobby', 'inbound'), null);
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/* Token prices                                                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Hive-Engine market of a few tokens, recording the queries: DOOM has a deep order book and
+ * trades, CITY a pool, ORE only a last price, GHOST nothing at all.
+ */
+const fakeMarket = (priceCacheMins = 5) => {
+  const queries = [];
+  const heApi = {
+    getMetricsBySymbol: async ({ symbols }) => {
+      queries.push(['metrics', symbols]);
+      return { ORE: { symbol: 'ORE', lastPrice: '0.5', volume: '150' } };
+    },
+    getOrderBooks: async ({ symbols }) => {
+      queries.push(['orderBook', symbols]);
+      return Object.fromEntries(symbols.map(symbol => [symbol, symbol === 'DOOM'
+        ? { bids: [{ price: '0.09', quantity: '10000' }], asks: [{ price: '0.11', quantity: '1000' }] }
+        : { bids: [], asks: [] }]));
+    },
+    getRecentTrades: async ({ symbols }) => {
+      queries.push(['vwap', symbols]);
+      return Object.fromEntries(symbols.map(symbol => [symbol, symbol === 'DOOM'
+        ? [{ price: '0.1', quantity: '100' }, { price: '0.13', quantity: '50' }]
+        : []]));
+    },
+    getPools: async ({ symbols }) => {
+      queries.push(['pool', symbols]);
+      return Object.fromEntries(symbols.map(symbol => [symbol, symbol === 'CITY'
+        ? {
+          tokenPair: 'SWAP.HIVE:CITY', basePrice: '0.5', quotePrice: '2', baseQuantity: '30', quoteQuantity: '15',
+        }
+        : null]));
+    },
+  };
+  const priceProv = { getHbdUsd: async () => 0.98 };
+  return { queries, prices: new TokenPriceService(heApi, priceProv, { priceCacheMins }) };
+};
+
+describe('TokenPriceService', () => {
+  const pricing = (tokenPricing) => {
+    const issues = issuesOf({ log: createLogger({ logLevel: 'silent' }) });
+    return { opts: { tokenPricing, report: issues.report }, issues };
+  };
+
+  it('prices a token at the middle of its best bid and ask, rating the depth of the book', async () => {
+    const { prices } = fakeMarket();
+    assert.deepEqual(await prices.getPriceUsd({ symbol: 'DOOM', hiveUsd: 0.25 }, pricing('orderBook').opts), {
+      price: 0.025, source: 'orderBook', confidence: 'high', liquidity: 1010,
+    });
+  });
+
+  it('prices a token at the average price of its recent trades', async () => {
+    const { prices } = fakeMarket();
+    const { price, source, liquidity } = await prices.getPriceUsd({ symbol: 'DOOM', hiveUsd: 1 }, pricing('vwap').opts);
+    assert.equal(+price.toFixed(8), 0.11);
+    assert.equal(source, 'vwap');
+    assert.equal(liquidity, 16.5);
+  });
+
+  it('prices a token from its pool with SWAP.HIVE, whichever side of the pair it is on', async () => {
+    const { prices } = fakeMarket();
+    assert.deepEqual(await prices.getPriceUsd({ symbol: 'CITY', hiveUsd: 0.25 }, pricing('pool').opts), {
+      price: 0.5, source: 'pool', confidence: 'low', liquidity: 60,
+    });
+  });
+
+  it('falls back to the last price for the tokens the strategy has no data for', async () => {
+    const { queries, prices } = fakeMarket();
+    const quotes = await prices.getPricesUsd(['DOOM', 'ORE'], 0.25, pricing('orderBook').opts);
+    assert.equal(quotes.DOOM.source, 'orderBook');
+    assert.deepEqual(quotes.ORE, {
+      price: 0.125, source: 'lastPrice', confidence: 'medium', liquidity: 150,
+    });
+    assert.deepEqual(queries, [['orderBook', ['DOOM', 'ORE']], ['metrics', ['ORE']]]);
+  });
+
+  it('prices SWAP.HIVE and SWAP.HBD at their peg, without any market query', async () => {
+    const { queries, prices } = fakeMarket();
+    assert.deepEqual(await prices.getPricesUsd(['SWAP.HIVE', 'SWAP.HBD'], 0.25, pricing('pool').opts), {
+      'SWAP.HIVE': { price: 0.25, source: 'peg', confidence: 'high' },
+      'SWAP.HBD': { price: 0.98, source: 'peg', confidence: 'high' },
+    });
+    assert.deepEqual(queries, []);
+  });
+
+  it('queries the prices in batches, once per symbol and strategy within priceCacheMins', async () => {
+    const { queries, prices } = fakeMarket();
+    const symbols = ['ORE', ...Array.from({ length: 2 * HE_PRICE_BATCH_SIZE }, (_, idx) => `T${idx}`)];
+    const { opts } = pricing('lastPrice');
+    const quotes = await prices.getPricesUsd([...symbols, 'ORE'], 0.25, opts);
+    assert.equal(Object.keys(quotes).length, symbols.length);
+    assert.deepEqual(queries.map(([, batch]) => batch.length), [HE_PRICE_BATCH_SIZE, HE_PRICE_BATCH_SIZE, 1]);
+    await prices.getPricesUsd(['ORE', 'T7'], 0.25, opts);
+    assert.equal(queries.length, 3);
+    await prices.getPricesUsd(['ORE', 'T7'], 0.25, pricing('pool').opts);
+    assert.deepEqual(queries.slice(3), [['pool', ['ORE', 'T7']], ['metrics', ['ORE', 'T7']]]);
+  });
+
+  it('queries the prices again once they are older than priceCacheMins', async () => {
+    const { queries, prices } = fakeMarket(0);
+    const { opts } = pricing('lastPrice');
+    await prices.getPricesUsd(['ORE'], 0.25, opts);
+    await prices.getPricesUsd(['ORE'], 0.25, opts);
+    assert.deepEqual(queries, [['metrics', ['ORE']], ['metrics', ['ORE']]]);
+  });
+
+  it('reports the tokens without any price, valued 0', async () => {
+    const { prices } = fakeMarket();
+    const { opts, issues } = pricing('lastPrice');
+    assert.deepEqual(await prices.getPriceUsd({ symbol: 'GHOST', hiveUsd: 0.25 }, opts), {
+      price: 0, source: 'lastPrice', confidence: 'none', liquidity: 0,
+    });
+    assert.deepEqual(issues.warnings().map(({ code, symbols }) => [code, symbols]), [
+      ['PriceUnavailableError', ['GHOST']],
+    ]);
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/* History scans                                                              */
+/* -------------------------------------------------------------------------- */
+
+const T0 = Date.parse('2025-04-15T00:00:00Z');
+const HOUR = 3600_000;
+const log = createLogger({ logLevel: 'silent' });
+
+// settings of a scan call paging 2 entries at a time, and the issues it reports
+const scanOpts = (overrides = {}) => {
+  const issues = issuesOf({ log });
+  return {
+    opts: {
+      hiveSenders: { pvp: 'game' },
+      tokenSenders: { pvp: 'game' },
+      tokenOps: ['transfers'],
+      ignoredReceivers: [],
+      hiveHistoryLimit: 2,
+      heHistoryLimit: 2,
+      log,
+      report: issues.report,
+      ...overrides,
+    },
+    issues,
+  };
+};
+
+// Hive history entry `hoursAgo` before T0, one block per hour
+const hiveOp = (hoursAgo, opName, opData) => ({
+  timestamp: new Date(T0 - hoursAgo * HOUR).toISOString().slice(0, 19),
+  block: 5000 - hoursAgo,
+  trx_id: `trx-${opName}-${hoursAgo}`,
+  op: [opName, opData],
+});
+
+const hiveTransfer = (hoursAgo, from, to, amount, memo = '') => hiveOp(hoursAgo, 'transfer', {
+  from, to, amount, memo,
+});
+
+/**
+ * HiveEarningsService over a fake node serving `history` (oldest first) by history index,
+ * recording the start index of the pages requested.
+ */
+const hiveService = (history) => {
+  const calls = [];
+  const api = {
+    getAccountHistory: async (account, start, limit) => {
+      calls.push(start);
+      const last = start < 0 ? history.length - 1 : Math.min(start, history.length - 1);
+      const first = Math.max(0, last - limit + 1);
+      return history.slice(first, last + 1).map((entry, idx) => [first + idx, entry]);
+    },
+    nodeInUse: () => 'https://hive.node',
+  };
+  return { calls, svc: new HiveEarningsService(api, {}, null) };
+};
+
+describe('Hive history scans', () => {
+  const history = [
+    hiveTransfer(36, 'game', 'alice', '100.000 HIVE'),
+    hiveTransfer(30, 'game', 'alice', '1.000 HIVE'),
+    hiveTransfer(24, 'game', 'alice', '2.000 HIVE'),
+    hiveTransfer(12, 'game', 'alice', '3.000 HBD'),
+    hiveTransfer(6, 'bobby', 'alice', '50.000 HIVE'),
+    hiveTransfer(0, 'game', 'alice', '4.000 HIVE'),
+    hiveTransfer(-1, 'game', 'alice', '8.000 HIVE'),
+  ];
+
+  it('counts the transfers of the window, both bounds included, paging back to its start only', async () => {
+    const { calls, svc } = hiveService(history);
+    const { opts, issues } = scanOpts();
+    const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res, {
+      totHiveSent: 6,
+      totHbdSent: 3,
+      totHpSent: 0,
+      breakdown: {
+        pvp: {
+          tot: 6,
+          transactions: 3,
+          assets: { HIVE: { amount: 6, transactions: 2 }, HBD: { amount: 3, transactions: 1 } },
+        },
+      },
+      totHiveTransactions: 3,
+    });
+    // pages of 2 entries from the newest one, down to the page reaching 30 hours ago
+    assert.deepEqual(calls, [-1, 4, 2]);
+    assert.deepEqual(issues.warnings(), []);
+  });
+
+  it('reports its progress after each page', async () => {
+    const { svc } = hiveService(history);
+    const events = [];
+    const { opts } = scanOpts({ onProgress: event => events.push(event) });
+    await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    const progress = (pages, oldest, percent, done = false) => ({
+      account: 'alice', layer: 'hive', pages, oldest, percent, node: 'https://hive.node', done,
+    });
+    assert.deepEqual(events, [
+      progress(1, '2025-04-15T00:00:00.000Z', 0),
+      progress(2, '2025-04-14T12:00:00.000Z', 50),
+      progress(3, '2025-04-13T18:00:00.000Z', 100),
+      progress(3, '2025-04-13T18:00:00.000Z', 100, true),
+    ]);
+  });
+
+  it('stops before the next page once its signal is aborted', async () => {
+    const { calls, svc } = hiveService(history);
+    const controller = new AbortController();
+    const { opts } = scanOpts({ signal: controller.signal, onProgress: () => controller.abort() });
+    const scan = svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    await assert.rejects(scan, { name: 'AbortError' });
+    assert.deepEqual(calls, [-1]);
+  });
+
+  it('narrows the window to a block range', async () => {
+    const { svc } = hiveService(history);
+    const { opts } = scanOpts();
+    const range = {
+      fromTs: T0 - 48 * HOUR, toTs: T0 + HOUR, fromBlock: 5000 - 12, toBlock: 5000,
+    };
+    const res = await svc.analyzeInbound('alice', range, opts);
+    assert.equal(res.totHiveSent, 4);
+    assert.equal(res.totHbdSent, 3);
+    assert.equal(res.totHiveTransactions, 2);
+  });
+
+  it('counts power-ups as HP and savings withdrawals, leaving out moves to the own savings', async () => {
+    const { svc } = hiveService([
+      hiveOp(5, 'transfer_to_vesting', { from: 'game', to: 'alice', amount: '10.000 HIVE' }),
+      hiveOp(4, 'transfer_to_savings', {
+        from: 'alice', to: 'alice', amount: '20.000 HBD', memo: '',
+      }),
+      hiveOp(3, 'fill_transfer_from_savings', {
+        from: 'game', to: 'alice', amount: '5.000 HBD', request_id: 1, memo: '',
+      }),
+      hiveOp(2, 'transfer_to_vesting', { from: 'alice', to: '', amount: '7.000 HIVE' }),
+      hiveOp(1, 'fill_recurrent_transfer', {
+        from: 'game', to: 'alice', amount: '1.000 HIVE', memo: '', remaining_executions: 3,
+      }),
+    ]);
+    const { opts } = scanOpts();
+    const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res, {
+      totHiveSent: 1,
+      totHbdSent: 5,
+      totHpSent: 10,
+      breakdown: {
+        pvp: {
+          tot: 1,
+          transactions: 3,
+          assets: {
+            HIVE: { amount: 1, transactions: 1 },
+            HBD: { amount: 5, transactions: 1 },
+            HP: { amount: 10, transactions: 1 },
+          },
+        },
+      },
+      totHiveTransactions: 3,
+    });
+  });
+
+  it('counts the power-ups paid to others, leaving out the own power-ups and savings', async () => {
+    const { svc } = hiveService([
+      hiveOp(3, 'transfer_to_vesting', { from: 'game', to: 'bobby', amount: '10.000 HIVE' }),
+      hiveOp(2, 'transfer_to_vesting', { from: 'game', to: '', amount: '7.000 HIVE' }),
+      hiveOp(1, 'transfer_to_savings', {
+        from: 'game', to: 'game', amount: '20.000 HBD', memo: '',
+      }),
+    ]);
+    const { opts } = scanOpts();
+    const res = await svc.analyzeOutbound('game', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res.perRecipient, { bobby: { HP: 10 } });
+    assert.deepEqual(res.perRecipientAssetTxCount, { bobby: { HP: 1 } });
+  });
+
+  it('sums the chain rewards of the window per op, reporting the claims apart', async () => {
+    const { calls, svc } = hiveService([
+      hiveOp(30, 'producer_reward', { producer: 'alice', vesting_shares: '9000.000000 VESTS' }),
+      hiveOp(20, 'author_reward', {
+        author: 'alice', hbd_payout: '1.000 HBD', hive_payout: '0.000 HIVE', vesting_payout: '2000.000000 VESTS',
+      }),
+      hiveOp(15, 'curation_reward', { curator: 'alice', reward: '1000.000000 VESTS' }),
+      hiveOp(12, 'curation_reward', { curator: 'bobby', reward: '500.000000 VESTS' }),
+      hiveOp(10, 'comment_benefactor_reward', {
+        benefactor: 'alice', hbd_payout: '0.500 HBD', hive_payout: '0.000 HIVE', vesting_payout: '0.000000 VESTS',
+      }),
+      hiveOp(8, 'producer_reward', { producer: 'alice', vesting_shares: '400.000000 VESTS' }),
+      hiveOp(6, 'interest', { owner: 'alice', interest: '0.250 HBD' }),
+      hiveOp(4, 'claim_reward_balance', {
+        account: 'alice', reward_hive: '0.000 HIVE', reward_hbd: '1.000 HBD', reward_vests: '3000.000000 VESTS',
+      }),
+      hiveTransfer(2, 'game', 'alice', '5.000 HIVE'),
+    ]);
+    const { opts } = scanOpts();
+    // 500 HIVE per MVESTS
+    const res = await svc.analyzeChainRewards('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, 0.0005, opts);
+    const reward = (HIVE, HBD, HP) => ({
+      HIVE, HBD, HP, transactions: 1,
+    });
+    assert.deepEqual(res, {
+      totals: { HIVE: 0, HBD: 1.75, HP: 1.7 },
+      breakdown: {
+        interest: reward(0, 0.25, 0),
+        producerReward: reward(0, 0, 0.2),
+        commentBenefactorReward: reward(0, 0.5, 0),
+        curationReward: reward(0, 0, 0.5),
+        authorReward: reward(0, 1, 1),
+      },
+      claimed: reward(0, 1, 1.5),
+    });
+    assert.deepEqual(calls, [-1, 6, 4, 2, 0]);
+  });
+
+  it('gathers the accounts of a category, broken down per account with perAccountBreakdown', async () => {
+    const { svc } = hiveService([
+      hiveTransfer(5, 'game', 'alice', '2.000 HIVE'),
+      hiveTransfer(4, 'game2', 'alice', '3.000 HIVE'),
+      hiveTransfer(3, 'game2', 'alice', '1.000 HBD'),
+      hiveTransfer(2, 'bobby', 'alice', '9.000 HIVE'),
+    ]);
+    const { opts } = scanOpts({ hiveSenders: { pvp: ['game', 'game2'] }, perAccountBreakdown: true });
+    const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res.breakdown, {
+      pvp: {
+        tot: 5,
+        transactions: 3,
+        assets: { HBD: { amount: 1, transactions: 1 }, HIVE: { amount: 5, transactions: 2 } },
+      },
+    });
+    assert.deepEqual(res.byAccount, {
+      pvp: {
+        game: { tot: 2, transactions: 1, assets: { HIVE: { amount: 2, transactions: 1 } } },
+        game2: {
+          tot: 3,
+          transactions: 2,
+          assets: { HBD: { amount: 1, transactions: 1 }, HIVE: { amount: 3, transactions: 1 } },
+        },
+      },
+    });
+  });
+
+  it('groups the senders outside the sender map under other when scanning every sender', async () => {
+    const { svc } = hiveService([
+      hiveTransfer(5, 'game', 'alice', '2.000 HIVE'),
+      hiveTransfer(4, 'bobby', 'alice', '3.000 HIVE'),
+      hiveTransfer(3, 'alice', 'bobby', '5.000 HIVE'),
+      hiveTransfer(2, 'carol', 'alice', '1.000 HBD'),
+    ]);
+    const { opts } = scanOpts({ allSenders: true });
+    const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res, {
+      totHiveSent: 5,
+      totHbdSent: 1,
+      totHpSent: 0,
+      breakdown: {
+        pvp: { tot: 2, transactions: 1, assets: { HIVE: { amount: 2, transactions: 1 } } },
+        other: {
+          tot: 3,
+          transactions: 2,
+          assets: { HBD: { amount: 1, transactions: 1 }, HIVE: { amount: 3, transactions: 1 } },
+        },
+      },
+      totHiveTransactions: 3,
+      perSender: {
+        carol: { HBD: { amount: 1, transactions: 1 } },
+        bobby: { HIVE: { amount: 3, transactions: 1 } },
+        game: { HIVE: { amount: 2, transactions: 1 } },
+      },
+    });
+  });
+
+  describe('memos', () => {
+    const memoHistory = [
+      hiveTransfer(5, 'game', 'alice', '2.000 HIVE', 'win #1'),
+      hiveTransfer(4, 'game', 'alice', '1.000 HBD', 'win #2'),
+      hiveTransfer(3, 'game', 'alice', '3.000 HIVE', 'refund of #7'),
+      hiveTransfer(2, 'game', 'alice', '1.000 HIVE', 'tip'),
+    ];
+    const memoRules = [{ prefix: 'win', label: 'wins' }, { regex: '^refund', label: 'refunds' }];
+
+    it('breaks the categories down by the label of the first matching memo rule', async () => {
+      const { svc } = hiveService(memoHistory);
+      const { opts } = scanOpts({ memoRules });
+      const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+      assert.deepEqual(res.memoBreakdown, {
+        pvp: {
+          other: { tot: 1, transactions: 1, assets: { HIVE: { amount: 1, transactions: 1 } } },
+          refunds: { tot: 3, transactions: 1, assets: { HIVE: { amount: 3, transactions: 1 } } },
+          wins: {
+            tot: 2,
+            transactions: 2,
+            assets: { HBD: { amount: 1, transactions: 1 }, HIVE: { amount: 2, transactions: 1 } },
+          },
+        },
+      });
+      assert.equal(res.breakdown.pvp.transactions, 4);
+    });
+
+    it('counts only the transfers passing the memo filter', async () => {
+      const { svc } = hiveService(memoHistory);
+      const { opts } = scanOpts({ memoFilter: { include: [{ regex: '#\\d' }], exclude: [{ prefix: 'refund' }] } });
+      const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+      assert.equal(res.totHiveSent, 2);
+      assert.equal(res.totHbdSent, 1);
+      assert.equal(res.totHiveTransactions, 2);
+      assert.equal(res.memoBreakdown, undefined);
+    });
+
+    it('breaks the payments down per recipient and memo label', async () => {
+      const { svc } = hiveService(memoHistory.map(entry => ({
+        ...entry, op: ['transfer', { ...entry.op[1], from: 'alice', to: 'bobby' }],
+      })));
+      const { opts } = scanOpts({ memoRules });
+      const res = await svc.analyzeOutbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+      assert.deepEqual(res.perRecipientMemo, {
+        bobby: {
+          other: { HIVE: { amount: 1, transactions: 1 } },
+          refunds: { HIVE: { amount: 3, transactions: 1 } },
+          wins: { HBD: { amount: 1, transactions: 1 }, HIVE: { amount: 2, transactions: 1 } },
+        },
+      });
+    });
+  });
+
+  it('charts the transfers per period of the time zone with groupBy', async () => {
+    const transfers = [
+      hiveTransfer(20, 'game', 'alice', '1.000 HIVE'),
+      hiveTransfer(10, 'game', 'alice', '2.000 HIVE'),
+      hiveTransfer(5, 'game', 'alice', '1.000 HBD'),
+    ];
+    const range = { fromTs: T0 - 24 * HOUR, toTs: T0 };
+    const utc = await hiveService(transfers).svc.analyzeInbound('alice', range, scanOpts({ groupBy: 'day' }).opts);
+    const day = { HIVE: { amount: 3, transactions: 2 }, HBD: { amount: 1, transactions: 1 } };
+    assert.deepEqual(utc.series, { groups: { pvp: { '2025-04-14': day } }, total: { '2025-04-14': day } });
+
+    // 19:00 UTC on April 14th is already April 15th in Tokyo
+    const { opts } = scanOpts({ groupBy: 'day', timezone: 'Asia/Tokyo' });
+    const tokyo = await hiveService(transfers).svc.analyzeInbound('alice', range, opts);
+    assert.deepEqual(tokyo.series.total, {
+      '2025-04-14': { HIVE: { amount: 3, transactions: 2 } },
+      '2025-04-15': { HBD: { amount: 1, transactions: 1 } },
+    });
+  });
+
+  it('keeps a ledger record of each counted transfer with includeTransactions', async () => {
+    const { svc } = hiveService([
+      hiveTransfer(5, 'game', 'alice', '2.000 HIVE', 'win'),
+      hiveTransfer(4, 'bobby', 'alice', '9.000 HIVE'),
+      hiveOp(3, 'transfer_to_vesting', { from: 'game', to: 'alice', amount: '1.000 HIVE' }),
+    ]);
+    const { opts } = scanOpts({ includeTransactions: true });
+    const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res.breakdown.pvp.entries, [
+      {
+        timestamp: '2025-04-14T21:00:00.000Z',
+        block: 4997,
+        trxId: 'trx-transfer_to_vesting-3',
+        op: 'transfer_to_vesting',
+        from: 'game',
+        to: 'alice',
+        asset: 'HP',
+        amount: 1,
+        memo: '',
+      },
+      {
+        timestamp: '2025-04-14T19:00:00.000Z',
+        block: 4995,
+        trxId: 'trx-transfer-5',
+        op: 'transfer',
+        from: 'game',
+        to: 'alice',
+        asset: 'HIVE',
+        amount: 2,
+        memo: 'win',
+      },
+    ]);
+  });
+
+  it('counts the payments of the window sent by the scanned account', async () => {
+    const { svc } = hiveService([
+      hiveTransfer(30, 'game', 'bobby', '1.000 HIVE'),
+      hiveTransfer(24, 'game', 'bobby', '2.000 HIVE'),
+      hiveTransfer(12, 'game', 'carol', '3.000 HBD'),
+      hiveTransfer(0, 'game', 'bobby', '4.000 HIVE'),
+      hiveTransfer(-1, 'game', 'carol', '8.000 HIVE'),
+    ]);
+    const { opts } = scanOpts();
+    const res = await svc.analyzeOutbound('game', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res.perRecipient, { bobby: { HIVE: 6 }, carol: { HBD: 3 } });
+    assert.deepEqual(res.perRecipientTxCount, { bobby: 2, carol: 1 });
+    assert.deepEqual(res.perRecipientEntries, {});
+  });
+
+  it('keeps a ledger record of each counted payment with includeTransactions', async () => {
+    const { svc } = hiveService([
+      hiveTransfer(2, 'game', 'bobby', '1.000 HBD', 'prize'),
+      hiveTransfer(1, 'game', 'game', '5.000 HIVE'),
+    ]);
+    const { opts } = scanOpts({ includeTransactions: true });
+    const res = await svc.analyzeOutbound('game', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res.perRecipientEntries, {
+      bobby: [{
+        timestamp: '2025-04-14T22:00:00.000Z',
+        block: 4998,
+        trxId: 'trx-transfer-2',
+        op: 'transfer',
+        from: 'game',
+        to: 'bobby',
+        asset: 'HBD',
+        amount: 1,
+        memo: 'prize',
+      }],
+    });
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/* Hive-Engine history scans                                                  */
+/* -------------------------------------------------------------------------- */
+
+// Hive-Engine transfer of `quantity` DOOM, `hoursAgo` before T0
+const heTransfer = (id, hoursAgo, from, to, quantity = '1') => ({
+  _id: id,
+  blockNumber: 1000 - hoursAgo,
+  transactionId: `trx-${id}`,
+  timestamp: (T0 - hoursAgo * 3600_000) / 1000,
+  operation: 'tokens_transfer',
+  from,
+  to,
+  symbol: 'DOOM',
+  quantity,
+  memo: '',
+});
+
+// Hive-Engine NFT operation on CITY cards, `hoursAgo` before T0
+const heNft = (id, hoursAgo, operation, fields) => ({
+  _id: id,
+  blockNumber: 1000 - hoursAgo,
+  transactionId: `trx-${id}`,
+  timestamp: (T0 - hoursAgo * 3600_000) / 1000,
+  operation,
+  symbol: 'CITY',
+  ...fields,
+});
+
+/**
+ * TokenEarningsService over a fake history node serving `history` newest first, DOOM at 0.1 USD
+ * and the CITY NFTs last sold for 2 SWAP.HIVE.
+ * pageOf(offset, limit) can replace the page the node answers.
+ */
+const tokenService = (history, pageOf = (offset, limit) => history.slice(offset, offset + limit)) => {
+  const calls = [];
+  const heApi = {
+    getHistory: async ({ offset, limit }) => {
+      calls.push(offset);
+      return pageOf(offset, limit);
+    },
+    historyNodeInUse: () => 'https://heh.node',
+    getNftPrice: async () => ({ price: 2, priceSymbol: 'SWAP.HIVE', source: 'lastSale' }),
+  };
+  const priceProv = { getHiveUsd: async () => 0.25 };
+  const quoteOf = symbol => (symbol === 'SWAP.HIVE'
+    ? { price: 0.25, source: 'peg', confidence: 'high' }
+    : { price: 0.1, source: 'test', confidence: 'high' });
+  const tokenPrices = {
+    getPricesUsd: async symbols => Object.fromEntries(symbols.map(symbol => [symbol, quoteOf(symbol)])),
+    getPriceUsd: async ({ symbol }) => quoteOf(symbol),
+  };
+  return { calls, svc: new TokenEarningsService(heApi, priceProv, {}, null, tokenPrices) };
+};
+
+const wholeRange = { fromTs: T0 - 48 * 3600_000, toTs: T0 };
+
+describe('Hive-Engine history scans', () => {
+  const history = [
+    heTransfer('r4', 1, 'game', 'alice', '4'),
+    heTransfer('r3', 2, 'game', 'alice', '3'),
+    heTransfer('r2', 3, 'game', 'alice', '2'),
+    heTransfer('r1', 4, 'game', 'alice', '1'),
+  ];
+
+  it('counts the transfers of the window, both bounds included, paging back to its start only', async () => {
+    const { calls, svc } = tokenService([
+      heTransfer('r6', -1, 'game', 'alice', '8'),
+      heTransfer('r5', 0, 'game', 'alice', '4'),
+      heTransfer('r4', 6, 'bobby', 'alice', '50'),
+      heTransfer('r3', 12, 'game', 'alice', '3'),
+      heTransfer('r2', 24, 'game', 'alice', '2'),
+      heTransfer('r1', 30, 'game', 'alice', '1'),
+      heTransfer('r0', 36, 'game', 'alice', '100'),
+    ]);
+    const { opts } = scanOpts();
+    const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    assert.deepEqual(res.breakdown, {
+      pvp: {
+        DOOM: {
+          amount: 9,
+          price: 0.1,
+          priceSource: 'test',
+          confidence: 'high',
+          totUsd: 0.9,
+          transactions: 3,
+          operations: { transfers: { amount: 9, transactions: 3 } },
+        },
+      },
+    });
+    assert.equal(res.transactions, 3);
+    assert.deepEqual(calls, [0, 2, 4]);
+  });
+
+  it('gathers the accounts of a category, broken down per account with perAccountBreakdown', async () => {
+    const { svc } = tokenService([
+      heTransfer('r2', 2, 'bobby', 'alice', '9'),
+      heTransfer('r1', 3, 'game2', 'alice', '3'),
+      heTransfer('r0', 4, 'game', 'alice', '2'),
+    ]);
+    const { opts } = scanOpts({ tokenSenders: { pvp: ['game', 'game2'] }, perAccountBreakdown: true });
+    const res = await svc.analyzeInbound('alice', wholeRange, opts);
+    assert.equal(res.breakdown.pvp.DOOM.amount, 5);
+    assert.deepEqual(Object.fromEntries(Object.entries(res.byAccount.pvp).map(([account, { DOOM }]) => [
+      account, [DOOM.amount, DOOM.transactions, DOOM.totUsd],
+    ])), { game2: [3, 1, 0.3], game: [2, 1, 0.2] });
+  });
+
+  it('groups the senders outside the sender map under other when scanning every sender', async () => {
+    const { svc } = tokenService([
+      heTransfer('r3', 2, 'carol', 'alice', '1'),
+      heTransfer('r2', 3, 'alice', 'bobby', '5'),
+      heTransfer('r1', 4, 'bobby', 'alice', '3'),
+      heTransfer('r0', 5, 'game', 'alice', '2'),
+    ]);
+    const { opts } = scanOpts({ allSenders: true });
+    const res = await svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    const amountsOf = groups => Object.fromEntries(Object.entries(groups).map(([group, { DOOM }]) => [
+      group, [DOOM.amount, DOOM.transactions],
+    ]));
+    assert.deepEqual(amountsOf(res.breakdown), { other: [4, 2], pvp: [2, 1] });
+    assert.deepEqual(amountsOf(res.perSender), { carol: [1, 1], bobby: [3, 1], game: [2, 1] });
+    assert.equal(res.transactions, 3);
+    assert.equal(res.totUsd, 0.6);
+  });
+
+  it('breaks the categories down by memo label and counts only the transfers passing the memo filter', async () => {
+    const memoHistory = [
+      { ...heTransfer('r3', 2, 'game', 'alice', '1'), memo: 'tip' },
+      { ...heTransfer('r2', 3, 'game', 'alice', '3'), memo: 'refund of #7' },
+      { ...heTransfer('r1', 4, 'game', 'alice', '1'), memo: 'win #2' },
+      { ...heTransfer('r0', 5, 'game', 'alice', '2'), memo: 'win #1' },
+    ];
+    const memoRules = [{ prefix: 'win', label: 'wins' }, { regex: '^refund', label: 'refunds' }];
+    const { opts } = scanOpts({ memoRules });
+    const res = await tokenService(memoHistory).svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, opts);
+    const labels = Object.fromEntries(Object.entries(res.memoBreakdown.pvp).map(([label, { DOOM }]) => [
+      label, [DOOM.amount, DOOM.transactions],
+    ]));
+    assert.deepEqual(labels, { other: [1, 1], refunds: [3, 1], wins: [3, 2] });
+
+    const filtered = await tokenService(memoHistory).svc.analyzeInbound('alice', { fromTs: T0 - 24 * HOUR, toTs: T0 }, {
+      ...opts, memoRules: [], memoFilter: { exclude: [{ prefix: 'refund' }] },
+    });
+    assert.equal(filtered.breakdown.pvp.DOOM.amount, 4);
+    assert.equal(filtered.transactions, 3);
+  });
+
+  describe('NFTs', () => {
+    const nftHistory = [
+      heNft('n3', 2, 'nft_transfer', { from: 'alice', to: 'bobby', nfts: ['1'] }),
+      heNft('n2', 3, 'nftmarket_buy', { account: 'alice', nfts: ['7'] }),
+      heNft('n1', 4, 'nft_issue', { from: 'game', to: 'alice', nft: 5 }),
+      heNft('n0', 5, 'nft_transfer', { from: 'game', to: 'alice', nfts: ['1', '2'] }),
+    ];
+
+    it('counts the cards received per category, without a price unless nftValuation is on', async () => {
+      const { opts } = scanOpts();
+      const res = await tokenService(nftHistory).svc.analyzeInbound('alice', wholeRange, opts);
+      assert.deepEqual(res.nfts, {
+        breakdown: { pvp: { CITY: { count: 3, ids: ['5', '1', '2'], transactions: 2 } } },
+        totUsd: 0,
+        transactions: 2,
+      });
+      assert.deepEqual(res.breakdown, {});
+      assert.equal(res.transactions, 0);
+    });
+
+    it('values the cards at their last sale, in the quote token priced in USD', async () => {
+      const { opts } = scanOpts({ nftValuation: true, allSenders: true });
+      const res = await tokenService(nftHistory).svc.analyzeInbound('alice', wholeRange, opts);
+      assert.deepEqual(res.nfts.breakdown, {
+        pvp: {
+          CITY: {
+            count: 3, ids: ['5', '1', '2'], transactions: 2, price: 0.5, priceSource: 'lastSale', totUsd: 1.5,
+          },
+        },
+        other: {
+          CITY: {
+            count: 1, ids: ['7'], transactions: 1, price: 0.5, priceSource: 'lastSale', totUsd: 0.5,
+          },
+        },
+      });
+      assert.equal(res.nfts.totUsd, 2);
+      assert.equal(res.totUsd, 2);
+      assert.deepEqual(Object.keys(res.perSenderNfts).sort(), ['game', 'nftmarket']);
+    });
+  });
+
+  it('charts the movements per period of the time zone with groupBy, per sender with allSenders', async () => {
+    const { opts } = scanOpts({ groupBy: 'day', timezone: 'Asia/Tokyo', allSenders: true });
+    const res = await tokenService([
+      heTransfer('r2', 5, 'bobby', 'alice', '4'),
+      heTransfer('r1', 10, 'game', 'alice', '2'),
+      heTransfer('r0', 20, 'game', 'alice', '1'),
+    ]).svc.analyzeInbound('alice', wholeRange, opts);
+    assert.deepEqual(res.series.groups.raw, {
+      bobby: { '2025-04-15': { DOOM: 4 } },
+      game: { '2025-04-14': { DOOM: 3 } },
+    });
+    assert.deepEqual(res.series.total.raw, { '2025-04-15': { DOOM: 4 }, '2025-04-14': { DOOM: 3 } });
+  });
+
+  it('keeps a ledger record of each counted movement with includeTransactions, valued now', async () => {
+    const { opts } = scanOpts({ includeTransactions: true });
+    const res = await tokenService([
+      heTransfer('r1', 2, 'game', 'alice', '4'),
+      heTransfer('r0', 3, 'bobby', 'alice', '9'),
+    ]).svc.analyzeInbound('alice', wholeRange, opts);
+    assert.deepEqual(res.breakdown.pvp.DOOM.entries, [{
+      timestamp: '2025-04-14T22:00:00.000Z',
+      block: 998,
+      trxId: 'trx-r1',
+      op: 'tokens_transfer',
+      family: 'transfers',
+      from: 'game',
+      to: 'alice',
+      symbol: 'DOOM',
+      amount: 4,
+      memo: '',
+      usd: 0.4,
+    }]);
+  });
+
+  it('reports its progress after each page and stops once its signal is aborted', async () => {
+    const { calls, svc } = tokenService(history);
+    const controller = new AbortController();
+    const events = [];
+    const { opts } = scanOpts({
+      signal: controller.signal,
+      onProgress: (event) => {
+        events.push(event);
+        controller.abort();
+      },
+    });
+    await assert.rejects(svc.analyzeInbound('alice', wholeRange, opts), { name: 'AbortError' });
+    assert.deepEqual(events, [{
+      account: 'alice',
+      layer: 'hive-engine',
+      pages: 1,
+      oldest: '2025-04-14T22:00:00.000Z',
+      percent: 4,
+      node: 'https://heh.node',
+      done: false,
+    }]);
+    assert.deepEqual(calls, [0]);
+  });
+
+  it('ends quietly on the empty page after a history as long as a multiple of the page size', async () => {
+    const { calls, svc } = tokenService(history);
+    const { opts, issues } = scanOpts();
+    const res = await svc.analyzeInbound('alice', wholeRange, opts);
+    assert.equal(res.breakdown.pvp.DOOM.amount, 10);
+    assert.equal(res.transactions, 4);
+    assert.deepEqual(calls, [0, 2, 4]);
+    assert.deepEqual(issues.warnings(), []);
+  });
+
+  it('keeps paging past a short page', async () => {
+    // the node answers a single record at offset 0
+    const { calls, svc } = tokenService(history, (offset, limit) => history.slice(offset, offset + (offset ? limit : 1)));
+    const { opts } = scanOpts();
+    const res = await svc.analyzeInbound('alice', wholeRange, opts);
+    assert.equal(res.breakdown.pvp.DOOM.amount, 7);
+    assert.deepEqual(calls, [0, 2, 4]);
+  });
+
+  it('reports a node that stops answering records after a full page', async () => {
+    const { svc } = tokenService(history, (offset, limit) => (offset < 2
+      ? history.slice(offset, offset + limit)
+      : { error: 'offset out of range' }));
+    const { opts, issues } = scanOpts();
+    const res = await svc.analyzeInbound('alice', wholeRange, opts);
+    assert.equal(res.breakdown.pvp.DOOM.amount, 7);
+    assert.deepEqual(issues.warnings().map(({ code }) => code), ['HistoryIncompleteError']);
+
+    const strict = issuesOf({ log, strict: true });
+    await assert.rejects(
+      svc.analyzeOutbound('game', wholeRange, { ...opts, report: strict.report }),
+      HistoryIncompleteError,
+    );
+  });
+});
@@ -0,0 +1,344 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import {
+  HiveApi, HiveEngineApi, HivePriceProvider, HistoricalPriceProvider, HistoryCache,
+} from '../apis/apis.js';
+import { PriceUnavailableError } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
+
+// in-memory histories of a few accounts, recording the pages requested
+const fakeApis = (size = 10) => {
+  const calls = [];
+  const hive = {};
+  const he = {};
+  const hiveApi = {
+    getAccountHistory: async (account, start, limit) => {
+      calls.push(`hive:${account}:${start}:${limit}`);
+      const all = hive[account] ??= Array.from({ length: size }, (_, idx) => ({ idx, account }));
+      const last = start < 0 ? all.length - 1 : start;
+      return Array.from({ length: last - Math.max(0, last - limit + 1) + 1 }, (_, idx) => {
+        const at = Math.max(0, last - limit + 1) + idx;
+        return [at, all[at]];
+      });
+    },
+  };
+  const heApi = {
+    // newest record first, as the history nodes return them
+    getHistory: async ({ account, limit, offset }) => {
+      calls.push(`he:${account}:${offset}:${limit}`);
+      he[account] ??= Array.from({ length: size }, (_, idx) => ({ _id: `${account}-${size - 1 - idx}` }));
+      return he[account].slice(offset, offset + limit);
+    },
+  };
+  return { calls, hive, he, hiveApi, heApi };
+};
+
+describe('HistoryCache', () => {
+  it('downloads the Hive head every time and serves the older pages from the cache', async () => {
+    const { calls, hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi);
+    const head = await cache.hiveApi.getAccountHistory('alice', -1, 5);
+    const older = await cache.hiveApi.getAccountHistory('alice', 4, 5);
+    assert.deepEqual(older.map(([idx]) => idx), [0, 1, 2, 3, 4]);
+    await cache.hiveApi.getAccountHistory('alice', -1, 5);
+    assert.deepEqual(await cache.hiveApi.getAccountHistory('alice', 4, 5), older);
+    assert.deepEqual(await cache.hiveApi.getAccountHistory('alice', 9, 5), head);
+    assert.deepEqual(calls, ['hive:alice:-1:5', 'hive:alice:4:5', 'hive:alice:-1:5']);
+  });
+
+  it('only downloads the part of a Hive page that is not cached', async () => {
+    const { calls, hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi);
+    await cache.hiveApi.getAccountHistory('alice', 4, 5);
+    const page = await cache.hiveApi.getAccountHistory('alice', 7, 5);
+    assert.deepEqual(page.map(([idx]) => idx), [3, 4, 5, 6, 7]);
+    assert.deepEqual(calls, ['hive:alice:4:5', 'hive:alice:7:3']);
+  });
+
+  it('follows the Hive-Engine offsets and prepends the records written since', async () => {
+    const { calls, he, hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi);
+    await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 });
+    await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 5 });
+    he.alice.unshift({ _id: 'alice-10' });
+    const head = await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 });
+    assert.equal(head[0]._id, 'alice-10');
+    const page = await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 5 });
+    assert.deepEqual(page.map(({ _id }) => _id), ['alice-5', 'alice-4', 'alice-3', 'alice-2', 'alice-1']);
+    assert.deepEqual(calls, ['he:alice:0:5', 'he:alice:5:5', 'he:alice:0:5']);
+  });
+
+  it('fills an older page when records were written since the head was downloaded', async () => {
+    const { he, hiveApi, heApi } = fakeApis(20);
+    const cache = new HistoryCache(hiveApi, heApi);
+    await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 });
+    he.alice.unshift({ _id: 'alice-21' }, { _id: 'alice-20' });
+    const page = await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 5 });
+    assert.deepEqual(page.map(({ _id }) => _id), ['alice-14', 'alice-13', 'alice-12', 'alice-11', 'alice-10']);
+  });
+
+  it('returns every record once to a scan while new records keep arriving', async () => {
+    const { he, hiveApi, heApi } = fakeApis(23);
+    const cache = new HistoryCache(hiveApi, heApi);
+    const seen = [];
+    let written = 23;
+    for (let offset = 0; ; offset += 5) {
+      const page = await cache.heApi.getHistory({ account: 'alice', limit: 5, offset });
+      if (!page.length) break;
+      seen.push(...page.map(({ _id }) => _id));
+      he.alice.unshift({ _id: `alice-${written++}` }, { _id: `alice-${written++}` });
+    }
+    assert.deepEqual(seen, Array.from({ length: 23 }, (_, idx) => `alice-${22 - idx}`));
+  });
+
+  it('shares the download of a page requested concurrently', async () => {
+    const { calls, hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi);
+    await Promise.all([
+      cache.hiveApi.getAccountHistory('alice', 4, 5),
+      cache.hiveApi.getAccountHistory('alice', 4, 5),
+      cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 }),
+      cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 }),
+    ]);
+    assert.deepEqual(calls, ['hive:alice:4:5', 'he:alice:0:5']);
+  });
+
+  it('returns copies: reversing a page does not change the cached one', async () => {
+    const { hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi);
+    (await cache.hiveApi.getAccountHistory('alice', 4, 5)).reverse();
+    (await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 })).reverse();
+    assert.equal((await cache.hiveApi.getAccountHistory('alice', 4, 5))[0][0], 0);
+    assert.equal((await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 }))[0]._id, 'alice-9');
+  });
+
+  it('drops the least recently read accounts past maxRecords', async () => {
+    const { calls, hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi, 15);
+    for (const account of ['alice', 'bobby']) {
+      await cache.hiveApi.getAccountHistory(account, 9, 10);
+      await cache.heApi.getHistory({ account, limit: 10, offset: 0 });
+    }
+    calls.length = 0;
+    await cache.hiveApi.getAccountHistory('bobby', 9, 10);
+    await cache.heApi.getHistory({ account: 'bobby', limit: 5, offset: 5 });
+    assert.deepEqual(calls, []);
+    await cache.hiveApi.getAccountHistory('alice', 9, 10);
+    await cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 5 });
+    assert.deepEqual(calls, ['hive:alice:9:10', 'he:alice:5:5']);
+  });
+
+  it('downloads each head once while the heads are pinned', async () => {
+    const { calls, hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi);
+    const scan = () => Promise.all([
+      cache.hiveApi.getAccountHistory('alice', -1, 5),
+      cache.heApi.getHistory({ account: 'alice', limit: 5, offset: 0 }),
+    ]);
+    const [first, second] = await cache.pinningHeads(async () => [await scan(), await scan()]);
+    assert.deepEqual(second, first);
+    assert.deepEqual(calls, ['hive:alice:-1:5', 'he:alice:0:5']);
+    await scan();
+    assert.equal(calls.length, 4);
+  });
+
+  it('does not keep a head that failed to download while pinned', async () => {
+    const { calls, hiveApi, heApi } = fakeApis();
+    let failing = true;
+    const flaky = {
+      getAccountHistory: async (...args) => {
+        if (failing) {
+          failing = false;
+          throw new Error('node down');
+        }
+        return hiveApi.getAccountHistory(...args);
+      },
+    };
+    const cache = new HistoryCache(flaky, heApi);
+    await cache.pinningHeads(async () => {
+      await assert.rejects(cache.hiveApi.getAccountHistory('alice', -1, 5), /node down/);
+      assert.equal((await cache.hiveApi.getAccountHistory('alice', -1, 5)).length, 5);
+    });
+    assert.deepEqual(calls, ['hive:alice:-1:5']);
+  });
+
+  it('downloads everything again once cleared', async () => {
+    const { calls, hiveApi, heApi } = fakeApis();
+    const cache = new HistoryCache(hiveApi, heApi);
+    await cache.hiveApi.getAccountHistory('alice', 4, 5);
+    cache.clear();
+    await cache.hiveApi.getAccountHistory('alice', 4, 5);
+    assert.deepEqual(calls, ['hive:alice:4:5', 'hive:alice:4:5']);
+  });
+});
+
+describe('HiveApi', () => {
+  const nodes = [];
+
+  // local nodes answering get_account_history with their own name
+  const node = name => new Promise((resolve) => {
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; }).on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(body).id, result: [[0, { node: name }]] }));
+      });
+    });
+    nodes.push(server);
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/`));
+  });
+  after(() => Promise.all(nodes.map(server => new Promise(resolve => server.close(resolve)))));
+
+  it('sends the concurrent calls of two analyzers to their own nodes', async () => {
+    const apiOf = async name => new HiveApi({
+      log: createLogger({ logLevel: 'silent' }),
+      rateLimits: { hive: 100 },
+      hiveNodeUrl: await node(name),
+    });
+    const [first, second] = [await apiOf('first'), await apiOf('second')];
+    const histories = await Promise.all([
+      first.getAccountHistory('alice', -1, 1),
+      second.getAccountHistory('bobby', -1, 1),
+    ]);
+    assert.deepEqual(histories, [[[0, { node: 'first' }]], [[0, { node: 'second' }]]]);
+  });
+});
+
+describe('HiveEngineApi', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  // a local node answering every request with an empty list
+  before(async () => {
+    server = createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      req.resume().on('end', () => res.end('[]'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('sends its calls to the nodes set in the config', async () => {
+    const heApi = new HiveEngineApi({
+      log: createLogger({ logLevel: 'silent' }),
+      rateLimits: { he: 100, heh: 100 },
+      hiveEngineRpcUrl: baseUrl,
+      hiveEngineHistoryUrl: baseUrl,
+    });
+    assert.deepEqual(await heApi.getHistory({ account: 'alice', limit: 5, offset: 10 }), []);
+    assert.equal(await heApi.getMetrics({ symbol: 'DOOM' }), null);
+    assert.deepEqual(requests, [
+      'GET /accountHistory?account=alice&limit=5&offset=10&type=user',
+      'POST /contracts',
+    ]);
+    assert.equal(heApi.historyNodeInUse(), baseUrl);
+  });
+});
+
+describe('HivePriceProvider', () => {
+  const log = createLogger({ logLevel: 'silent' });
+  // custom provider answering `quotes` (or throwing them), recording the currencies asked
+  const provider = (name, quotes) => {
+    const asked = [];
+    return {
+      name,
+      asked,
+      getQuotes: async (currencies) => {
+        asked.push(currencies);
+        if (quotes instanceof Error) throw quotes;
+        return quotes;
+      },
+    };
+  };
+  const chain = (priceProviders, apis = {}) => new HivePriceProvider({ priceProviders, priceCacheMins: 5, log }, apis);
+
+  it('falls back along the chain until a provider quotes HIVE above zero', async () => {
+    const down = provider('down', new Error('503'));
+    const empty = provider('empty', { hive: { usd: 0 } });
+    const last = provider('last', { hive: { usd: 0.25 } });
+    assert.deepEqual(await chain([down, empty, last]).getQuote(), { hiveUsd: 0.25, hbdUsd: 1, source: 'last' });
+    assert.deepEqual([down, empty, last].map(({ asked }) => asked.length), [1, 1, 1]);
+  });
+
+  it('throws a PriceUnavailableError listing the failures when no provider quotes HIVE', async () => {
+    const prices = chain([provider('down', new Error('503')), provider('empty', {})]);
+    await assert.rejects(prices.getHiveUsd(), (err) => {
+      assert.ok(err instanceof PriceUnavailableError);
+      assert.match(err.message, /down: 503; empty: no HIVE quote in usd/);
+      return true;
+    });
+  });
+
+  it('caches the quotes, asking again for a currency not quoted yet', async () => {
+    const asked = [];
+    const gecko = {
+      name: 'gecko',
+      getQuotes: async (currencies) => {
+        asked.push(currencies);
+        return { hive: { usd: 0.25, ...Object.fromEntries(currencies.map(cur => [cur, 0.2])) }, hbd: { usd: 0.99 } };
+      },
+    };
+    const prices = chain([gecko]);
+    assert.equal(await prices.getHiveUsd(), 0.25);
+    assert.equal(await prices.getHbdUsd(), 0.99);
+    assert.deepEqual(await prices.getFxRates(['eur']), { eur: 0.8 });
+    assert.deepEqual(await prices.getFxRates(['eur']), { eur: 0.8 });
+    assert.deepEqual(asked, [[], ['eur']]);
+  });
+
+  it('skips a provider missing a requested currency', async () => {
+    const usdOnly = provider('usdOnly', { hive: { usd: 0.25 } });
+    const fiat = provider('fiat', { hive: { usd: 0.3, brl: 1.5 } });
+    assert.deepEqual(await chain([usdOnly, fiat]).getFxRates(['brl']), { brl: 5 });
+  });
+
+  it('prices HIVE on the internal market and on Hive-Engine, taking HBD at its peg', async () => {
+    const apis = {
+      hiveApi: { getTicker: async () => ({ latest: '0.2' }) },
+      heApi: { getLastPrice: async () => 4 },
+    };
+    assert.deepEqual(await chain(['hiveMarket'], apis).getQuote(), { hiveUsd: 0.2, hbdUsd: 1, source: 'hiveMarket' });
+    assert.deepEqual(await chain(['hiveEngine'], apis).getQuote(), { hiveUsd: 0.25, hbdUsd: 1, source: 'hiveEngine' });
+  });
+});
+
+describe('HistoricalPriceProvider', () => {
+  const DAY = 86400_000;
+  const T0 = Date.parse('2025-04-15T00:00:00Z');
+  const range = { fromTs: T0 - 2 * DAY, toTs: T0 };
+  // daily USD closes of HIVE and HBD, daily SWAP.HIVE closes of the tokens
+  const usd = { hive: [[T0 - 2 * DAY, 0.2], [T0 - DAY, 0.3]], hive_dollar: [[T0 - 2 * DAY, 0.98], [T0 - DAY, 1.02]] };
+  const prices = () => {
+    const fetched = [];
+    const fetch = async (url) => {
+      const coinId = new URL(url).pathname.slice(1);
+      fetched.push(coinId);
+      return { ok: true, status: 200, json: async () => ({ prices: usd[coinId] }) };
+    };
+    const heApi = {
+      getMarketHistory: async ({ symbol }) => {
+        fetched.push(symbol);
+        return [{ timestamp: (T0 - DAY) / 1000, closePrice: '0.5' }];
+      },
+    };
+    return { fetched, provider: new HistoricalPriceProvider({ fetch, hivePriceHistoryUrl: 'https://prices/{id}' }, heApi) };
+  };
+  const noIssue = (err) => { throw err; };
+
+  it('values a token from its HIVE close and HIVE/USD at the time', async () => {
+    const { provider } = prices();
+    assert.equal(await provider.getTokenUsdAt('DOOM', T0 - DAY / 2, range, noIssue), 0.15);
+    assert.equal(await provider.getTokenUsdAt('SWAP.HIVE', T0 - DAY * 1.5, range, noIssue), 0.2);
+  });
+
+  it('values SWAP.HBD as HBD at the time, without a token market history', async () => {
+    const { fetched, provider } = prices();
+    assert.equal(await provider.getTokenUsdAt('SWAP.HBD', T0 - DAY * 1.5, range, noIssue), 0.98);
+    assert.equal(await provider.getTokenUsdAt('SWAP.HBD', T0 - DAY / 2, range, noIssue), 1.02);
+    assert.deepEqual(fetched, ['hive_dollar']);
+  });
+});
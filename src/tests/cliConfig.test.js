@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { loadProfile } from '../utils/cliConfig.js';
+
+describe('loadProfile', () => {
+  let dir;
+  const configFile = async (name, content) => {
+    const file = join(dir, name);
+    await writeFile(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  before(async () => { dir = await mkdtemp(join(tmpdir(), 'hiverewards-')); });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('merges the profile over the defaults and splits it into output, query and analyzer settings', async () => {
+    const configPath = await configFile('config.json', {
+      defaults: { hiveNodeUrl: 'https://api.hive.blog', tokenPricing: 'vwap', days: 1 },
+      profiles: {
+        weekly: {
+          mode: 'inbound',
+          receivers: ['alice'],
+          hiveSenders: { pvp: 'game' },
+          days: 7,
+          currency: 'eur',
+          format: 'csv',
+          output: 'weekly.csv',
+        },
+      },
+    });
+    assert.deepEqual(await loadProfile({ configPath, profileName: 'weekly' }), {
+      mode: 'inbound',
+      format: 'csv',
+      output: 'weekly.csv',
+      query: { receivers: ['alice'], hiveSenders: { pvp: 'game' }, days: 7 },
+      cfg: { hiveNodeUrl: 'https://api.hive.blog', tokenPricing: 'vwap', currency: 'eur' },
+    });
+  });
+
+  it('uses the defaults alone without a profile name', async () => {
+    const configPath = await configFile('defaults.json', {
+      defaults: { strict: true, memoFilter: { include: ['win'] } },
+    });
+    assert.deepEqual(await loadProfile({ configPath }), {
+      query: { memoFilter: { include: ['win'] } },
+      cfg: { strict: true },
+    });
+  });
+
+  it('rejects unknown keys, eg. a typo', async () => {
+    const configPath = await configFile('typo.json', { defaults: { heNode: 'https://he.node' } });
+    await assert.rejects(loadProfile({ configPath }), /Unknown setting\(s\) heNode/);
+  });
+
+  it('rejects an unknown profile, listing the available ones', async () => {
+    const configPath = await configFile('profiles.json', { profiles: { daily: {}, weekly: {} } });
+    await assert.rejects(
+      loadProfile({ configPath, profileName: 'monthly' }),
+      /Unknown profile "monthly".*Available profiles: daily, weekly/,
+    );
+  });
+
+  it('rejects an unknown mode', async () => {
+    const configPath = await configFile('mode.json', { defaults: { mode: 'sideways' } });
+    await assert.rejects(loadProfile({ configPath }), /Invalid mode "sideways"/);
+  });
+
+  it('rejects invalid JSON and a missing explicit file', async () => {
+    const configPath = await configFile('broken.json', '{ "defaults": ');
+    await assert.rejects(loadProfile({ configPath }), /Invalid JSON in the config file/);
+    await assert.rejects(loadProfile({ configPath: join(dir, 'missing.json') }), /Cannot read the config file/);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { formatResult, toRows } from '../utils/formatters.js';
+
+const inbound = {
+  recipients: {
+    alice: {
+      hive: {
+        breakdown: { pvp: { assets: { HIVE: { amount: 10, totUsd: 2.5, transactions: 2 } } } },
+      },
+      tokens: {
+        breakdown: { pvp: { DOOM: { amount: 40, totUsd: 1, transactions: 1 } } },
+        nfts: { breakdown: { pve: { CITY: { count: 2, totUsd: 3, ids: ['1', '2'] } } } },
+      },
+    },
+    bobby: { error: 'Invalid account', errorName: 'Error' },
+  },
+};
+
+describe('toRows', () => {
+  it('flattens inbounds per receiver, category and symbol', () => {
+    assert.deepEqual(toRows(inbound), [
+      {
+        receiver: 'alice', category: 'pvp', layer: 'hive', symbol: 'HIVE', amount: 10, usd: 2.5, transactions: 2,
+      },
+      {
+        receiver: 'alice', category: 'pvp', layer: 'tokens', symbol: 'DOOM', amount: 40, usd: 1, transactions: 1,
+      },
+      {
+        receiver: 'alice', category: 'pve', layer: 'nfts', symbol: 'CITY', amount: 2, usd: 3, ids: ['1', '2'],
+      },
+      { receiver: 'bobby', error: 'Invalid account', errorName: 'Error' },
+    ]);
+  });
+
+  it('flattens outbounds per sender, recipient and symbol', () => {
+    const rows = toRows({
+      senders: {
+        game: {
+          recipients: {
+            alice: { hive: { assets: { HBD: { amount: 1, totUsd: 1 } } }, tokens: { breakdown: {} } },
+          },
+        },
+      },
+    });
+    assert.deepEqual(rows, [{
+      sender: 'game', recipient: 'alice', layer: 'hive', symbol: 'HBD', amount: 1, usd: 1,
+    }]);
+  });
+
+  it('flattens chain rewards per account and operation', () => {
+    const rows = toRows({ accounts: { alice: { breakdown: { curationReward: { hp: 1.5, transactions: 3 } } } } });
+    assert.deepEqual(rows, [{
+      account: 'alice', operation: 'curationReward', hp: 1.5, transactions: 3,
+    }]);
+  });
+
+  it('keeps one row per ledger transaction', () => {
+    const transactions = [
+      { account: 'alice', value: 1, currency: 'eur' },
+      { account: 'bobby', value: 2, currency: 'eur' },
+    ];
+    assert.deepEqual(toRows({ direction: 'inbound', transactions }), transactions);
+  });
+
+  it('rejects an unsupported result', () => {
+    assert.throws(() => toRows({ foo: 1 }), /Unsupported result/);
+  });
+});
+
+describe('formatResult', () => {
+  const transactions = [
+    { account: 'alice', memo: 'win, "big"', value: 1 },
+    { account: 'bobby', memo: 'a | b\nc', ids: ['1', '2'] },
+  ];
+
+  it('renders CSV with the union of the columns, quoting where needed', () => {
+    assert.equal(formatResult({ transactions }, 'csv'), [
+      'account,memo,value,ids',
+      'alice,"win, ""big""",1,',
+      'bobby,"a | b\nc",,1 2',
+    ].join('\n'));
+  });
+
+  it('renders one JSON object per line as NDJSON', () => {
+    const lines = formatResult({ transactions }, 'ndjson').split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), transactions);
+  });
+
+  it('renders a Markdown table, escaping pipes and line breaks', () => {
+    assert.equal(formatResult({ transactions }, 'markdown'), [
+      '| account | memo | value | ids |',
+      '| --- | --- | --- | --- |',
+      '| alice | win, "big" | 1 |  |',
+      '| bobby | a \\| b c |  | 1 2 |',
+    ].join('\n'));
+  });
+
+  it('aligns the columns of a plain text table', () => {
+    assert.equal(formatResult({ transactions: [{ a: 'x', bb: 1 }, { a: 'yyy', bb: 22 }] }, 'table'), [
+      'a    bb',
+      '---  --',
+      'x    1',
+      'yyy  22',
+    ].join('\n'));
+  });
+
+  it('keeps the whole result as JSON', () => {
+    assert.deepEqual(JSON.parse(formatResult(inbound, 'json')), inbound);
+    assert.deepEqual(JSON.parse(formatResult(inbound)), inbound);
+  });
+
+  it('renders nothing for a result without rows', () => {
+    assert.equal(formatResult({ transactions: [] }, 'csv'), '');
+    assert.equal(formatResult({ transactions: [] }, 'ndjson'), '');
+  });
+
+  it('rejects an unknown format', () => {
+    assert.throws(() => formatResult({ transactions }, 'xml'), /Unknown format: xml/);
+  });
+});
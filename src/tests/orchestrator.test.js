@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { toCurrencies } from '../services/orchestrator.js';
+
+describe('toCurrencies', () => {
+  it('renames the fiat fields after each requested currency', () => {
+    assert.deepEqual(toCurrencies({ price: 0.5, usd: 10, totUsd: 20 }, { eur: 0.9 }), {
+      priceEur: 0.45, eur: 9, totEur: 18,
+    });
+  });
+
+  it('keeps the USD fields only when USD is requested', () => {
+    assert.deepEqual(toCurrencies({ totUsd: 20 }, { usd: 1, eur: 0.9, brl: 5 }), {
+      totUsd: 20, totEur: 18, totBrl: 100,
+    });
+  });
+
+  it('rounds each field to its own decimals', () => {
+    assert.deepEqual(toCurrencies({
+      usd: 1.123456789, hiveUsd: 0.123456, deltaUsd: 1.2345, totUsdSentInHive: 3.14159,
+    }, { eur: 1 }), {
+      eur: 1.12345679, hiveEur: 0.1235, deltaEur: 1.23, totEurSentInHive: 3.14,
+    });
+  });
+
+  it('leaves the values at the time of the transfers in USD', () => {
+    const node = { usd: 2, usdAtTime: 3, totUsdAtTime: 4, totUsdSentInHiveAtTime: 5 };
+    assert.deepEqual(toCurrencies(node, { eur: 0.5 }), {
+      eur: 1, usdAtTime: 3, totUsdAtTime: 4, totUsdSentInHiveAtTime: 5,
+    });
+  });
+
+  it('converts nested objects and arrays, leaving the other values as they are', () => {
+    const result = {
+      recipients: {
+        alice: {
+          transactions: [{ usd: 2, amount: 4, asset: 'HIVE' }],
+          breakdown: { pvp: { totUsd: 6, transactions: 3 } },
+          error: null,
+        },
+      },
+    };
+    assert.deepEqual(toCurrencies(result, { eur: 0.5 }), {
+      recipients: {
+        alice: {
+          transactions: [{ eur: 1, amount: 4, asset: 'HIVE' }],
+          breakdown: { pvp: { totEur: 3, transactions: 3 } },
+          error: null,
+        },
+      },
+    });
+  });
+
+  it('leaves fiat field names holding no number untouched', () => {
+    assert.deepEqual(toCurrencies({ price: null, usd: 'n/a' }, { eur: 0.5 }), { price: null, usd: 'n/a' });
+  });
+});
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+
+import { sleep } from '../utils/utils.js';
+
+describe('hiveRewards', () => {
+  it('writes nothing with logLevel silent, the background node refreshes included', async () => {
+    const writes = ['error', 'warn', 'info', 'log', 'debug', 'trace'].map(level => mock.method(console, level, () => {}));
+    // the default logger takes the console methods when the module is loaded
+    const { hiveRewards } = await import('../rewards.js');
+    const analyzer = await hiveRewards({
+      logLevel: 'silent',
+      hiveNodeUrl: 'http://127.0.0.1:9/',
+      hiveEngineRpcUrl: 'http://127.0.0.1:9/',
+      hiveEngineHistoryUrl: 'http://127.0.0.1:9/',
+    });
+    assert.ok(analyzer);
+    await sleep(3500); // the beacon query times out after 3s
+    const calls = writes.flatMap(write => write.mock.calls.map(({ arguments: args }) => args));
+    writes.forEach(write => write.mock.restore());
+    assert.deepEqual(calls, []);
+  });
+
+  it('rejects the removed apiCallsDelay, pointing to rateLimits', async () => {
+    const { hiveRewards } = await import('../rewards.js');
+    await assert.rejects(hiveRewards({
+      logLevel: 'silent',
+      apiCallsDelay: 500,
+      hiveNodeUrl: 'http://127.0.0.1:9/',
+      hiveEngineRpcUrl: 'http://127.0.0.1:9/',
+      hiveEngineHistoryUrl: 'http://127.0.0.1:9/',
+    }), /apiCallsDelay was replaced by rateLimits/);
+  });
+});
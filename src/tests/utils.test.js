@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  mapConcurrent, periodOf, rateLimiter, sleep,
+} from '../utils/utils.js';
+
+const ts = iso => Date.parse(iso);
+
+describe('periodOf', () => {
+  it('labels the hour, day and month of a timestamp in UTC by default', () => {
+    assert.equal(periodOf(ts('2025-04-01T13:45:10Z'), 'hour'), '2025-04-01T13:00');
+    assert.equal(periodOf(ts('2025-04-01T13:45:10Z'), 'day'), '2025-04-01');
+    assert.equal(periodOf(ts('2025-04-01T13:45:10Z'), 'month'), '2025-04');
+  });
+
+  it('labels weeks by their Monday', () => {
+    assert.equal(periodOf(ts('2025-03-31T00:00:00Z'), 'week'), '2025-03-31');
+    assert.equal(periodOf(ts('2025-04-06T23:59:59Z'), 'week'), '2025-03-31');
+    assert.equal(periodOf(ts('2025-04-07T00:00:00Z'), 'week'), '2025-04-07');
+  });
+
+  it('labels weeks across a month and a year boundary', () => {
+    assert.equal(periodOf(ts('2025-01-01T12:00:00Z'), 'week'), '2024-12-30');
+  });
+
+  it('uses the local time of the given time zone', () => {
+    // 23:30 UTC on March 31st is already April 1st in Rome (UTC+2 in summer time)
+    assert.equal(periodOf(ts('2025-03-31T23:30:00Z'), 'day', 'Europe/Rome'), '2025-04-01');
+    assert.equal(periodOf(ts('2025-03-31T23:30:00Z'), 'hour', 'Europe/Rome'), '2025-04-01T01:00');
+    assert.equal(periodOf(ts('2025-03-31T23:30:00Z'), 'month', 'Europe/Rome'), '2025-04');
+    // a UTC Sunday evening is the next Monday in Tokyo
+    assert.equal(periodOf(ts('2025-04-06T20:00:00Z'), 'week', 'Asia/Tokyo'), '2025-04-07');
+    assert.equal(periodOf(ts('2025-04-01T02:00:00Z'), 'day', 'America/New_York'), '2025-03-31');
+  });
+
+  it('labels midnight as hour 00', () => {
+    assert.equal(periodOf(ts('2025-04-01T00:10:00Z'), 'hour'), '2025-04-01T00:00');
+  });
+});
+
+describe('rateLimiter', () => {
+  it('spaces the starts of the scheduled calls, in order', async () => {
+    const limit = rateLimiter(20); // a start every 50ms
+    const starts = [];
+    const t0 = Date.now();
+    await Promise.all([0, 1, 2, 3].map(idx => limit(async () => starts.push([idx, Date.now() - t0]))));
+    assert.deepEqual(starts.map(([idx]) => idx), [0, 1, 2, 3]);
+    starts.slice(1).forEach(([, at], idx) => assert.ok(at - starts[idx][1] >= 45, `start ${idx + 1} at ${at}ms`));
+  });
+
+  it('does not wait for a call to end before starting the next one', async () => {
+    const limit = rateLimiter(20);
+    let running = 0;
+    let maxRunning = 0;
+    await Promise.all([0, 1, 2].map(() => limit(async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(200);
+      running -= 1;
+    })));
+    assert.equal(maxRunning, 3);
+  });
+
+  it('resolves with the result of the call', async () => {
+    assert.equal(await rateLimiter(10)(async () => 42), 42);
+  });
+});
+
+describe('mapConcurrent', () => {
+  it('keeps the items order whatever the order the calls end in', async () => {
+    const out = await mapConcurrent([30, 10, 20], 3, async (ms, idx) => {
+      await sleep(ms);
+      return `${idx}:${ms}`;
+    });
+    assert.deepEqual(out, ['0:30', '1:10', '2:20']);
+  });
+
+  it('runs at most `concurrency` calls at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await mapConcurrent([1, 2, 3, 4, 5], 2, async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(10);
+      running -= 1;
+    });
+    assert.equal(maxRunning, 2);
+  });
+
+  it('throws the first error and starts no further item', async () => {
+    const started = [];
+    await assert.rejects(mapConcurrent([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('boom');
+    }), /boom/);
+    assert.deepEqual(started, [1, 2]);
+  });
+
+  it('handles an empty list and a concurrency above the items count', async () => {
+    assert.deepEqual(await mapConcurrent([], 4, async () => 1), []);
+    assert.deepEqual(await mapConcurrent([1, 2], 8, async item => item * 2), [2, 4]);
+  });
+});
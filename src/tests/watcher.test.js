@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { HiveEarningsService, TokenEarningsService } from '../services/analyzers.js';
+import { TransferWatcher } from '../services/watcher.js';
+import { createLogger } from '../utils/logger.js';
+import { sleep } from '../utils/utils.js';
+
+const T0 = Date.parse('2025-04-15T00:00:00Z');
+const log = createLogger({ logLevel: 'silent' });
+
+// histories the test appends to while the watcher polls: Hive oldest first, Hive-Engine newest first
+const fakeChain = () => {
+  const chain = { hive: {}, he: {}, failures: 0 };
+  let block = 100;
+  chain.transfer = (from, to, amount, memo = '') => {
+    block += 1;
+    for (const account of new Set([from, to])) {
+      (chain.hive[account] ??= []).push({
+        timestamp: new Date(T0 + block * 3000).toISOString().slice(0, 19),
+        block,
+        trx_id: `trx-${block}`,
+        op: ['transfer', { from, to, amount, memo }],
+      });
+    }
+  };
+  chain.tokenTransfer = (from, to, quantity) => {
+    block += 1;
+    for (const account of new Set([from, to])) {
+      (chain.he[account] ??= []).unshift({
+        blockNumber: block,
+        transactionId: `trx-${block}`,
+        timestamp: (T0 + block * 3000) / 1000,
+        operation: 'tokens_transfer',
+        from,
+        to,
+        symbol: 'DOOM',
+        quantity,
+        memo: '',
+      });
+    }
+  };
+  const hiveApi = {
+    getAccountHistory: async (account, start, limit) => {
+      if (chain.failures) {
+        chain.failures -= 1;
+        throw new Error('node down');
+      }
+      const history = chain.hive[account] ?? [];
+      const last = start < 0 ? history.length - 1 : Math.min(start, history.length - 1);
+      const first = Math.max(0, last - limit + 1);
+      return history.slice(first, last + 1).map((entry, idx) => [first + idx, entry]);
+    },
+  };
+  const heApi = {
+    getHistory: async ({ account, limit, offset }) => (chain.he[account] ?? []).slice(offset, offset + limit),
+  };
+  const cfg = { hiveHistoryLimit: 2, heHistoryLimit: 2 };
+  chain.deps = {
+    hiveSvc: new HiveEarningsService(hiveApi, cfg),
+    tokSvc: new TokenEarningsService(heApi, null, cfg),
+    pricesOf: async () => ({ HIVE: 0.25, HBD: 1, DOOM: 0.1 }),
+    present: node => node,
+    log,
+  };
+  return chain;
+};
+
+const watchParams = params => ({
+  receivers: [],
+  senders: [],
+  hiveSenders: { pvp: 'game' },
+  tokenSenders: { pvp: 'game' },
+  ignoredReceivers: [],
+  tokenOps: ['transfers'],
+  interval: 5,
+  ...params,
+});
+
+// wait for the watcher to catch up
+const until = async (check) => {
+  for (let tries = 0; tries < 400 && !check(); tries += 1) await sleep(5);
+  assert.ok(check(), 'the watcher did not catch up in time');
+};
+
+describe('TransferWatcher', () => {
+  it('emits the transfers matching the watch made after it started, oldest first, with running totals', async () => {
+    const chain = fakeChain();
+    chain.transfer('game', 'alice', '5.000 HIVE');
+    chain.tokenTransfer('game', 'alice', '50');
+    const watcher = new TransferWatcher(chain.deps, watchParams({ receivers: ['alice'] }));
+    const events = [];
+    watcher.on('hiveTransfer', event => events.push(event));
+    watcher.on('tokenTransfer', event => events.push(event));
+    await watcher.start();
+
+    chain.transfer('game', 'alice', '2.000 HIVE', 'win');
+    chain.transfer('bobby', 'alice', '9.000 HIVE');
+    chain.transfer('alice', 'carol', '3.000 HIVE');
+    chain.transfer('game', 'alice', '1.000 HBD');
+    chain.tokenTransfer('game', 'alice', '4');
+    await until(() => events.length === 3);
+    watcher.stop();
+
+    assert.deepEqual(events.map(({
+      direction, account, category, from, asset, symbol, amount, memo, usd,
+    }) => [direction, account, category, from, asset ?? symbol, amount, memo, usd]), [
+      ['inbound', 'alice', 'pvp', 'game', 'HIVE', 2, 'win', 0.5],
+      ['inbound', 'alice', 'pvp', 'game', 'HBD', 1, '', 1],
+      ['inbound', 'alice', 'pvp', 'game', 'DOOM', 4, '', 0.4],
+    ]);
+    const { since, ...totals } = watcher.totals();
+    assert.ok(Date.parse(since) <= Date.now());
+    assert.deepEqual(totals, {
+      inbound: {
+        transactions: 3,
+        usd: 1.9,
+        hive: {
+          HIVE: { amount: 2, transactions: 1, usd: 0.5 },
+          HBD: { amount: 1, transactions: 1, usd: 1 },
+        },
+        tokens: { DOOM: { amount: 4, transactions: 1, usd: 0.4 } },
+      },
+    });
+    assert.deepEqual(watcher.cursors(), { alice: { hiveIdx: 4, block: 106, heBlock: 107 } });
+  });
+
+  it('emits the payments of the watched senders, leaving out the ignored receivers', async () => {
+    const chain = fakeChain();
+    const watcher = new TransferWatcher(chain.deps, watchParams({ senders: ['game'], ignoredReceivers: ['bank'] }));
+    const events = [];
+    watcher.on('hiveTransfer', event => events.push(event));
+    await watcher.start();
+
+    chain.transfer('game', 'bank', '7.000 HIVE');
+    chain.transfer('game', 'alice', '2.000 HIVE');
+    chain.transfer('bobby', 'game', '1.000 HIVE');
+    await until(() => events.length === 1);
+    await sleep(30);
+    watcher.stop();
+
+    assert.deepEqual(events.map(({ direction, to, amount }) => [direction, to, amount]), [['outbound', 'alice', 2]]);
+    assert.equal(watcher.totals().outbound.usd, 0.5);
+  });
+
+  it('reports a failed poll and catches up on the missed transfers at the next one', async () => {
+    const chain = fakeChain();
+    chain.transfer('game', 'alice', '5.000 HIVE');
+    const watcher = new TransferWatcher(chain.deps, watchParams({ receivers: ['alice'] }));
+    const events = [];
+    const errors = [];
+    watcher.on('hiveTransfer', event => events.push(event));
+    watcher.on('error', err => errors.push(err.message));
+    await watcher.start();
+
+    chain.failures = 1;
+    for (let idx = 1; idx <= 3; idx += 1) chain.transfer('game', 'alice', `${idx}.000 HIVE`);
+    await until(() => events.length === 3);
+    watcher.stop();
+
+    assert.deepEqual(errors, ['node down']);
+    assert.deepEqual(events.map(({ amount }) => amount), [1, 2, 3]);
+  });
+});
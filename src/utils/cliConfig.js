@@ -0,0 +1,71 @@
+import { CLI_MODES, DEFAULT_CLI_CONFIG_FILE } from '../config/config.js';
+
+// profile keys passed to each scan call; the others configure the analyzer (hiveRewards())
+const QUERY_KEYS = [
+  'receivers', 'senders', 'accounts', 'hiveSenders', 'tokenSenders', 'allSenders', 'perAccountBreakdown',
+  'ignoredReceivers', 'memoRules', 'memoFilter', 'hours', 'days', 'from', 'to', 'fromBlock', 'toBlock', 'interval',
+];
+// scan window keys: a window given on the command line replaces the profile's one as a whole
+export const RANGE_KEYS = ['hours', 'days', 'from', 'to', 'fromBlock', 'toBlock'];
+// CLI only: what to run and where to write it
+const OUTPUT_KEYS = ['mode', 'format', 'output'];
+// hiveRewards() settings a JSON profile can hold; any other key is rejected (eg. a typo)
+const ANALYZER_KEYS = [
+  'hiveNodeUrl', 'hiveEngineRpcUrl', 'hiveEngineHistoryUrl', 'hivePriceUrl', 'hivePriceHistoryUrl',
+  'logLevel', 'verbose', 'strict', 'rateLimits', 'concurrency', 'priceCacheMins', 'hiveHistoryLimit',
+  'heHistoryLimit', 'historyCacheSize', 'tokenOps', 'nftValuation', 'historicalPrices', 'currency',
+  'priceProviders', 'tokenPricing', 'includeTransactions', 'groupBy', 'timezone',
+];
+
+/**
+ * Load a CLI profile from a JSON config file shaped as { defaults?: {...}, profiles?: { [name]: {...} } }.
+ * The profile is merged over the defaults and split into analyzer settings (node URLs, price
+ * settings...), per call params (accounts, senders, window...) and output settings. Unknown keys
+ * are rejected, so a typo does not silently fall back to a default.
+ * Without an explicit path or profile, a missing hiverewards.config.json is not an error.
+ * @param {{ configPath?: string, profileName?: string }} [opts]
+ * @returns {Promise<{ mode?: string, format?: string, output?: string, cfg: Object, query: Object }>}
+ */
+export const loadProfile = async ({ configPath, profileName } = {}) => {
+  const { readFile } = await import('fs/promises');
+  const { resolve } = await import('path');
+  const file = resolve(configPath ?? DEFAULT_CLI_CONFIG_FILE);
+
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !configPath && !profileName) return { cfg: {}, query: {} };
+    throw new Error(`Cannot read the config file ${file}: ${err.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in the config file ${file}: ${err.message}`);
+  }
+
+  const { defaults = {}, profiles = {} } = config;
+  if (profileName && !profiles[profileName]) {
+    const available = Object.keys(profiles).join(', ') || 'none';
+    throw new Error(`Unknown profile "${profileName}" in ${file}. Available profiles: ${available}`);
+  }
+  const settings = { ...defaults, ...(profileName && profiles[profileName]) };
+  if (settings.mode != null && !CLI_MODES.includes(settings.mode)) {
+    throw new Error(`Invalid mode "${settings.mode}" in ${file}. Use any of: ${CLI_MODES.join(', ')}`);
+  }
+
+  const known = [...OUTPUT_KEYS, ...QUERY_KEYS, ...ANALYZER_KEYS];
+  const unknown = Object.keys(settings).filter(key => !known.includes(key));
+  if (unknown.length) {
+    throw new Error(`Unknown setting(s) ${unknown.join(', ')} in ${file}. Use any of: ${known.join(', ')}`);
+  }
+
+  const entries = Object.entries(settings);
+  const pick = keep => Object.fromEntries(entries.filter(([key]) => keep(key)));
+  return {
+    ...pick(key => OUTPUT_KEYS.includes(key)),
+    query: pick(key => QUERY_KEYS.includes(key)),
+    cfg: pick(key => ANALYZER_KEYS.includes(key)),
+  };
+};
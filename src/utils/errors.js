@@ -0,0 +1,80 @@
+/* -------------------------------------------------------------------------- */
+/* Errors                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Base class of the errors thrown (or reported as warnings) by the analyzer. `code` is the class
+ * name, `details` the machine readable context, eg. { account } or { symbols }.
+ */
+export class HiveRewardsError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = new.target.name;
+    this.details = details;
+  }
+
+  toJSON = () => ({ code: this.code, message: this.message, ...this.details });
+}
+
+// an account name rejected by hive-js: { account }
+export class InvalidAccountError extends HiveRewardsError {}
+
+// every node of a type failed the connectivity checks: { type }
+export class NoHealthyNodeError extends HiveRewardsError {}
+
+// no usable price, current or historical: { symbols, historical?, nft? }
+export class PriceUnavailableError extends HiveRewardsError {}
+
+// an account history the node stopped serving before the start of the scan range: { account, layer }
+export class HistoryIncompleteError extends HiveRewardsError {}
+
+// an API answered 429 Too Many Requests: { url, retryAfter? } (seconds)
+export class RateLimitedError extends HiveRewardsError {}
+
+/**
+ * Throw on a non-2xx response: RateLimitedError for 429s, a plain Error otherwise.
+ * @param {Response} res
+ * @param {string} label - eg. 'HE RPC (https://...)', prefixed to the error message
+ * @returns {Response}
+ */
+export const assertOk = (res, label) => {
+  if (res.status === 429) {
+    const retryAfter = Number(res.headers?.get?.('retry-after')) || undefined;
+    throw new RateLimitedError(`${label}: 429 Too Many Requests`, { url: res.url, ...(retryAfter && { retryAfter }) });
+  }
+  if (!res.ok) throw new Error(`${label}: ${res.status}`);
+  return res;
+};
+
+/**
+ * Per account error entry of a result: { error, code? }.
+ * @param {Error} err
+ * @returns {{ error: string, code?: string }}
+ */
+export const errorOf = err => ({ error: err.message, ...(err.code && { code: err.code }) });
+
+/**
+ * Collector of the degradations of a call (missing prices, incomplete histories...): each one
+ * is logged and kept once for the result warnings, or thrown when strict.
+ * @param {{ strict?: boolean, log: Object }} cfg
+ * @returns {{ report: (err: HiveRewardsError) => void, warnings: () => Object[] }}
+ */
+export const issuesOf = ({ strict, log }) => {
+  const warnings = new Map();
+  return {
+    report: (err) => {
+      if (strict) throw err;
+      const warning = err.toJSON();
+      const key = JSON.stringify(warning);
+      if (warnings.has(key)) return;
+      warnings.set(key, warning);
+      log.warn(`[HR] ${err.message}`, { code: err.code, ...err.details });
+    },
+    warnings: () => [...warnings.values()],
+  };
+};
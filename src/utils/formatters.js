@@ -0,0 +1,146 @@
+import { OUTPUT_FORMATS } from '../config/config.js';
+
+/* -------------------------------------------------------------------------- */
+/* Rows                                                                       */
+/* -------------------------------------------------------------------------- */
+
+// totals are named after their value in rows: totUsd → usd, totEur → eur, totUsdAtTime → usdAtTime
+const columnOf = key => key.replace(/^tot([A-Z])/, (_, chr) => chr.toLowerCase());
+
+const isScalar = val => val === null || typeof val !== 'object';
+
+/**
+ * Scalar fields of a result leaf (amount, value, transactions...), nested breakdowns left out.
+ * NFTs are counted per item: their count is reported as the amount.
+ * @param {Object} leaf
+ * @returns {Object}
+ */
+const fieldsOf = (leaf) => {
+  const { count, ...rest } = leaf;
+  const fields = count != null ? { amount: count } : {};
+  for (const [key, val] of Object.entries(rest)) {
+    if (isScalar(val) || (Array.isArray(val) && val.every(isScalar))) fields[columnOf(key)] = val;
+  }
+  return fields;
+};
+
+const symbolRows = (path, { hive, tokens = {}, nfts } = {}) => [
+  ...Object.entries(hive ?? {}).map(([symbol, leaf]) => ({ ...path, layer: 'hive', symbol, ...fieldsOf(leaf) })),
+  ...Object.entries(tokens).map(([symbol, leaf]) => ({ ...path, layer: 'tokens', symbol, ...fieldsOf(leaf) })),
+  ...Object.entries(nfts ?? {}).map(([symbol, leaf]) => ({ ...path, layer: 'nfts', symbol, ...fieldsOf(leaf) })),
+];
+
+const inboundRows = recipients => Object.entries(recipients).flatMap(([receiver, data]) => {
+  if (data.error) return [{ receiver, ...fieldsOf(data) }];
+  if (data.bySender) {
+    return Object.entries(data.bySender).flatMap(([sender, { category, hive, tokens }]) => symbolRows(
+      { receiver, sender, ...(category && { category }) },
+      { hive: hive.assets, tokens: tokens.breakdown, nfts: tokens.nfts?.breakdown },
+    ));
+  }
+  const { hive, tokens } = data;
+  const categories = new Set([
+    ...Object.keys(hive.breakdown),
+    ...Object.keys(tokens.breakdown),
+    ...Object.keys(tokens.nfts.breakdown),
+  ]);
+  return [...categories].flatMap(category => symbolRows({ receiver, category }, {
+    hive: hive.breakdown[category]?.assets,
+    tokens: tokens.breakdown[category],
+    nfts: tokens.nfts.breakdown[category],
+  }));
+});
+
+const outboundRows = senders => Object.entries(senders).flatMap(([sender, data]) => {
+  if (data.error) return [{ sender, ...fieldsOf(data) }];
+  return Object.entries(data.recipients).flatMap(([recipient, { hive, tokens }]) => symbolRows(
+    { sender, recipient },
+    { hive: hive.assets, tokens: tokens.breakdown, nfts: tokens.nfts?.breakdown },
+  ));
+});
+
+const chainRewardsRows = accounts => Object.entries(accounts).flatMap(([account, data]) => {
+  if (data.error) return [{ account, ...fieldsOf(data) }];
+  return Object.entries(data.breakdown).map(([operation, bag]) => ({ account, operation, ...fieldsOf(bag) }));
+});
+
+/**
+ * Flatten a result into table rows: one per receiver/category/symbol for inbounds (per
+ * receiver/sender/symbol when every sender is reported), per sender/recipient/symbol for
+ * outbounds, per account/operation for chain rewards, per transfer for ledgers / histories,
+ * per symbol for prices and per endpoint for node lists.
+ * @param {Object} result - inbounds(), outbounds(), chainRewards(), ledger(), history() or prices() output
+ * @returns {Object[]}
+ */
+export const toRows = (result) => {
+  if (Array.isArray(result.transactions)) return result.transactions.map(fieldsOf);
+  if (Array.isArray(result.prices)) return result.prices.map(fieldsOf);
+  if (Array.isArray(result.nodes)) return result.nodes.map(fieldsOf);
+  if (result.recipients) return inboundRows(result.recipients);
+  if (result.senders) return outboundRows(result.senders);
+  if (result.accounts) return chainRewardsRows(result.accounts);
+  throw new Error('Unsupported result: expected an inbounds, outbounds, chainRewards, ledger, history, prices or nodes result');
+};
+
+/* -------------------------------------------------------------------------- */
+/* Formats                                                                    */
+/* -------------------------------------------------------------------------- */
+
+const columnsOf = rows => [...new Set(rows.flatMap(Object.keys))];
+
+const cellOf = val => (Array.isArray(val) ? val.join(' ') : String(val ?? ''));
+
+const csvCell = (val) => {
+  const text = cellOf(val);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  const columns = columnsOf(rows);
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(col => csvCell(row[col])).join(',')),
+  ].join('\n');
+};
+
+const toMarkdown = (rows) => {
+  const columns = columnsOf(rows);
+  const line = cells => `| ${cells.join(' | ')} |`;
+  return [
+    line(columns),
+    line(columns.map(() => '---')),
+    ...rows.map(row => line(columns.map(col => cellOf(row[col]).replace(/\|/g, '\\|').replace(/\n/g, ' ')))),
+  ].join('\n');
+};
+
+const toTable = (rows) => {
+  const columns = columnsOf(rows);
+  const cells = rows.map(row => columns.map(col => cellOf(row[col]).replace(/\n/g, ' ')));
+  const widths = columns.map((col, idx) => Math.max(col.length, ...cells.map(row => row[idx].length)));
+  const line = row => row.map((cell, idx) => cell.padEnd(widths[idx])).join('  ').trimEnd();
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line),
+  ].join('\n');
+};
+
+/**
+ * Render a result in one of the OUTPUT_FORMATS. json keeps the whole result, the other
+ * formats render its rows (see toRows()).
+ * @param {Object} result - any result supported by toRows()
+ * @param {'csv'|'json'|'ndjson'|'markdown'|'table'} [format='json']
+ * @returns {string}
+ */
+export const formatResult = (result, format = 'json') => {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format}. Use any of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (format === 'json') return JSON.stringify(result, null, 2);
+  const rows = toRows(result);
+  if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n');
+  if (!rows.length) return '';
+  if (format === 'csv') return toCsv(rows);
+  if (format === 'markdown') return toMarkdown(rows);
+  return toTable(rows);
+};
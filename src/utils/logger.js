@@ -0,0 +1,45 @@
+import { DEFAULT_LOG_LEVEL, LOG_LEVELS } from '../config/config.js';
+
+const IS_LOGGER = Symbol('hiverewards.logger');
+
+/**
+ * @typedef {Object} Logger
+ * @property {string} level
+ * @property {(level: string) => boolean} isEnabled
+ * @property {(message: string, fields?: Object) => void} error
+ * @property {(message: string, fields?: Object) => void} warn
+ * @property {(message: string, fields?: Object) => void} info
+ * @property {(message: string, fields?: Object) => void} debug
+ * @property {(message: string, fields?: Object) => void} trace
+ */
+
+/**
+ * Level-based logger on top of a console-like sink (console, winston, a pino adapter...).
+ * Messages above the configured level are dropped, the others are forwarded as
+ * sink[level](message, fields?). Sinks without a level method fall back to sink.log, and
+ * console.trace (which prints a stack) is replaced by console.debug.
+ * verbose: true is a shorthand for the debug level.
+ * @param {{ log?: Object, logLevel?: string, verbose?: boolean }} [cfg]
+ * @returns {Logger}
+ */
+export const createLogger = ({ log = console, logLevel, verbose } = {}) => {
+  if (log?.[IS_LOGGER]) return log;
+  const level = logLevel ?? (verbose ? 'debug' : DEFAULT_LOG_LEVEL);
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown logLevel: ${level}. Use any of: ${LOG_LEVELS.join(', ')}`);
+  }
+  const threshold = LOG_LEVELS.indexOf(level);
+  const isEnabled = name => LOG_LEVELS.indexOf(name) <= threshold;
+  const logger = { [IS_LOGGER]: true, level, isEnabled };
+
+  for (const name of LOG_LEVELS.slice(1)) {
+    const method = name === 'trace' && log === console ? 'debug' : name;
+    const write = log?.[method] ?? log?.log;
+    logger[name] = isEnabled(name) && write
+      ? (message, fields) => (fields === undefined
+        ? write.call(log, message)
+        : write.call(log, message, fields))
+      : () => {};
+  }
+  return logger;
+};
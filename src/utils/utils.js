@@ -12,6 +12,34 @@ export { fetchFn};
  */
 export const sleep = ms => new Promise(res => setTimeout(res, ms));
 
+/**
+ * Minimal event emitter, available in browsers too: listeners are registered per event name.
+ */
+export class Emitter {
+  #listeners = new Map();
+
+  on = (event, fn) => {
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(fn);
+    return this;
+  };
+
+  off = (event, fn) => {
+    this.#listeners.get(event)?.delete(fn);
+    return this;
+  };
+
+  /**
+   * Call the listeners of an event, in registration order.
+   * @returns {boolean} whether anyone was listening
+   */
+  emit = (event, ...args) => {
+    const listeners = [...(this.#listeners.get(event) ?? [])];
+    listeners.forEach(fn => fn(...args));
+    return listeners.length > 0;
+  };
+}
+
 /**
  * Convert a snake_case string (upper or lower) to camelCase.
  * If the input isn’t snake_case (i.e. contains no “_*” patterns), it’s returned unchanged.
@@ -23,6 +51,78 @@ export const camelFromEnum = str => {
   return base.replace(/_([a-zA-Z])/g, (_, c) => c.toUpperCase());
 };
 
+/**
+ * Convert a Hive chain timestamp (UTC, usually without the trailing "Z") to epoch ms.
+ * @param {string} ts - eg. "2025-04-01T12:00:00"
+ * @returns {number}
+ */
+export const hiveTsToMs = ts => new Date(/Z$|[+-]\d{2}:\d{2}$/.test(ts) ? ts : `${ts}Z`).getTime();
+
+const NAI_SYMBOLS = {
+  '@@000000021': 'HIVE',
+  '@@000000013': 'HBD',
+  '@@000000037': 'VESTS',
+};
+
+/**
+ * Parse a Hive asset, either legacy ("1.000 HIVE") or NAI ({ amount, precision, nai }) formatted.
+ * @param {string|{ amount: string, precision: number, nai: string }} asset
+ * @returns {{ amount: number, symbol: string|undefined }}
+ */
+export const parseAsset = (asset) => {
+  if (asset && typeof asset === 'object') {
+    return {
+      amount: +asset.amount / (10 ** asset.precision),
+      symbol: NAI_SYMBOLS[asset.nai],
+    };
+  }
+  const [amount, symbol] = String(asset ?? '').trim().split(' ');
+  return { amount: parseFloat(amount) || 0, symbol };
+};
+
+/**
+ * Normalize a user supplied date (ISO string, Date or epoch ms) to epoch ms.
+ * @param {string|number|Date} val - date to normalize
+ * @param {string} name - option name, used in the error message
+ * @returns {number}
+ */
+export const toTimestamp = (val, name) => {
+  const ms = typeof val === 'number' ? val : new Date(val).getTime();
+  if (!Number.isFinite(ms)) {
+    throw new Error(`${name} must be an ISO date or a timestamp in ms, got "${val}"`);
+  }
+  return ms;
+};
+
+const periodFormatters = new Map();
+
+/**
+ * Label of the hour / day / week / month a timestamp falls in, in local time of the given
+ * IANA time zone, eg. "2025-04-01T13:00", "2025-04-01", "2025-04". Weeks are labeled by their Monday.
+ * @param {number} ts - epoch ms
+ * @param {'hour'|'day'|'week'|'month'} groupBy
+ * @param {string} [timeZone='UTC']
+ * @returns {string}
+ */
+export const periodOf = (ts, groupBy, timeZone = 'UTC') => {
+  if (!periodFormatters.has(timeZone)) {
+    periodFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit',
+    }));
+  }
+  const {
+    year, month, day, hour,
+  } = Object.fromEntries(
+    periodFormatters.get(timeZone).formatToParts(ts).map(({ type, value }) => [type, value])
+  );
+  if (groupBy === 'hour') return `${year}-${month}-${day}T${hour}:00`;
+  if (groupBy === 'day') return `${year}-${month}-${day}`;
+  if (groupBy === 'month') return `${year}-${month}`;
+  const monday = new Date(Date.UTC(+year, +month - 1, +day));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+};
+
 /**
  * Build a full URL from base and path, removing duplicate slashes.
  * @param {string} base - base URL
@@ -81,3 +181,48 @@ export async function fetchRetry(fetchFn, url, options = {}, retries = 3, timeou
     }
   }
 }
+
+/**
+ * Rate limiter: the functions passed to it start at most `perSecond` times per second, in the
+ * order they were scheduled. Only starts are spaced, calls may run concurrently.
+ * @param {number} perSecond
+ * @returns {(fn: Function) => Promise<*>}
+ */
+export const rateLimiter = (perSecond) => {
+  const interval = 1000 / perSecond;
+  let nextStart = 0;
+  return async (fn) => {
+    const now = Date.now();
+    const start = Math.max(now, nextStart);
+    nextStart = start + interval;
+    if (start > now) await sleep(start - now);
+    return fn();
+  };
+};
+
+/**
+ * Map items with an async function, at most `concurrency` at a time. Results keep the items
+ * order; after a rejection no further item is started and the first error is thrown.
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {(item: *, idx: number) => Promise<*>} fn
+ * @returns {Promise<Array>}
+ */
+export const mapConcurrent = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let nextIdx = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && nextIdx < items.length) {
+      const idx = nextIdx++;
+      try {
+        results[idx] = await fn(items[idx], idx);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
@@ -1,21 +1,38 @@
+import {
+  PRICE_PROVIDERS, RATE_LIMITED_ENDPOINTS, TIME_BUCKETS, TOKEN_OP_FAMILIES, TOKEN_PRICING_STRATEGIES,
+} from '../config/config.js';
+
 export const validateGlobalParams = cfg => {
   const {
-    hours, apiCallsDelay, priceCacheMins, hiveNodeUrl, hivePriceUrl, hiveEngineHistoryUrl, hiveEngineRpcUrl,
+    hours, priceCacheMins, historyCacheSize, hiveNodeUrl, hivePriceUrl, hivePriceHistoryUrl,
+    hiveEngineHistoryUrl, hiveEngineRpcUrl,
   } = cfg;
+  if (cfg.apiCallsDelay !== undefined) {
+    throw new Error(
+      'apiCallsDelay was replaced by rateLimits: set the requests per second of each endpoint, eg. rateLimits: { hive: 2 }',
+    );
+  }
   if (!Number.isInteger(hours) || hours <= 0) {
     throw new Error('hours must be a positive integer');
   }
-  if (!Number.isInteger(apiCallsDelay) || apiCallsDelay < 0) {
-    throw new Error('apiCallsDelay must be a non‑negative integer');
-  }
   if (!Number.isInteger(priceCacheMins) || priceCacheMins < 0) {
     throw new Error('priceCacheMins must be ≥ 0');
   }
+  if (!Number.isInteger(historyCacheSize) || historyCacheSize < 0) {
+    throw new Error('historyCacheSize must be ≥ 0');
+  }
+  validateTokenOps(cfg.tokenOps);
+  validateCurrency(cfg.currency);
+  validatePriceProviders(cfg.priceProviders);
+  validateTokenPricing(cfg.tokenPricing);
+  validateGroupBy(cfg.groupBy, cfg.timezone);
+  validateConcurrency(cfg.concurrency);
+  validateRateLimits(cfg.rateLimits);
+  // the node URLs are optional: the beacon picks the nodes when unset
   for (const u of [
-    hiveNodeUrl,
     hivePriceUrl,
-    hiveEngineHistoryUrl,
-    hiveEngineRpcUrl,
+    hivePriceHistoryUrl,
+    ...[hiveNodeUrl, hiveEngineHistoryUrl, hiveEngineRpcUrl].filter(url => url !== undefined),
   ]) {
     try {
       new URL(u);
@@ -24,3 +41,107 @@ export const validateGlobalParams = cfg => {
     }
   }
 };
+
+export const validateConcurrency = (concurrency) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('concurrency must be a positive integer');
+  }
+};
+
+export const validateRateLimits = (rateLimits) => {
+  for (const [type, perSecond] of Object.entries(rateLimits)) {
+    if (!RATE_LIMITED_ENDPOINTS.includes(type)) {
+      throw new Error(`Unknown rateLimits endpoint: ${type}. Use any of: ${RATE_LIMITED_ENDPOINTS.join(', ')}`);
+    }
+    if (typeof perSecond !== 'number' || !(perSecond > 0)) {
+      throw new Error(`rateLimits.${type} must be a positive number of requests per second`);
+    }
+  }
+};
+
+export const validateSenders = (senders, name) => {
+  for (const [key, val] of Object.entries(senders ?? {})) {
+    const accounts = Array.isArray(val) ? val : [val];
+    if (!accounts.length || accounts.some(acc => typeof acc !== 'string' || !acc)) {
+      throw new Error(`${name}.${key} must be an account name or a non-empty array of account names`);
+    }
+  }
+};
+
+export const validateMemoRules = (memoRules = [], memoFilter = {}) => {
+  const checkMatcher = (rule, name) => {
+    const { prefix, regex } = rule ?? {};
+    if ((prefix == null) === (regex == null)) {
+      throw new Error(`${name} must define either a prefix or a regex`);
+    }
+    if (prefix != null && typeof prefix !== 'string') {
+      throw new Error(`${name}.prefix must be a string`);
+    }
+    if (regex != null) {
+      try {
+        new RegExp(regex);
+      } catch {
+        throw new Error(`${name}.regex is not a valid regular expression: ${regex}`);
+      }
+    }
+  };
+  if (!Array.isArray(memoRules)) throw new Error('memoRules must be an array');
+  memoRules.forEach((rule, idx) => {
+    checkMatcher(rule, `memoRules[${idx}]`);
+    if (!rule.label || typeof rule.label !== 'string') {
+      throw new Error(`memoRules[${idx}].label must be a non-empty string`);
+    }
+  });
+  for (const key of ['include', 'exclude']) {
+    (memoFilter?.[key] ?? []).forEach((rule, idx) => checkMatcher(rule, `memoFilter.${key}[${idx}]`));
+  }
+};
+
+export const validateTokenOps = (tokenOps) => {
+  if (!Array.isArray(tokenOps) || !tokenOps.length) {
+    throw new Error('tokenOps must be a non-empty array of operation families');
+  }
+  const unknown = tokenOps.filter(family => !TOKEN_OP_FAMILIES.includes(family));
+  if (unknown.length) {
+    throw new Error(`Unknown tokenOps: ${unknown.join(', ')}. Use any of: ${TOKEN_OP_FAMILIES.join(', ')}`);
+  }
+};
+
+export const validateCurrency = (currency) => {
+  const list = [currency].flat();
+  if (!list.length || list.some(cur => typeof cur !== 'string' || !/^[a-z]{3,5}$/i.test(cur))) {
+    throw new Error('currency must be a currency code (eg. "eur") or a non-empty array of them');
+  }
+};
+
+export const validatePriceProviders = (providers) => {
+  if (!Array.isArray(providers) || !providers.length) {
+    throw new Error('priceProviders must be a non-empty array');
+  }
+  providers.forEach((provider, idx) => {
+    if (typeof provider === 'string') {
+      if (!PRICE_PROVIDERS.includes(provider)) {
+        throw new Error(`Unknown price provider: ${provider}. Use any of: ${PRICE_PROVIDERS.join(', ')}`);
+      }
+    } else if (!provider?.name || typeof provider.getQuotes !== 'function') {
+      throw new Error(`priceProviders[${idx}] must be a provider name or an object with a name and a getQuotes() function`);
+    }
+  });
+};
+
+export const validateTokenPricing = (tokenPricing) => {
+  if (!TOKEN_PRICING_STRATEGIES.includes(tokenPricing)) {
+    throw new Error(`Unknown tokenPricing: ${tokenPricing}. Use any of: ${TOKEN_PRICING_STRATEGIES.join(', ')}`);
+  }
+};
+
+export const validateGroupBy = (groupBy, timezone) => {
+  if (groupBy != null && !TIME_BUCKETS.includes(groupBy)) {
+    throw new Error(`Unknown groupBy: ${groupBy}. Use any of: ${TIME_BUCKETS.join(', ')}`);
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Invalid timezone: ${timezone}. Use an IANA time zone, eg. "Europe/Rome"`);
+  }
+};